@@ -1,16 +1,84 @@
 import { comparePassword, hashPassword } from '../utils/passwordUtils.js';
-import { UnauthenticatedError } from '../errors/customError.js';
+import {
+  BadRequestError,
+  NotFoundError,
+  UnauthenticatedError,
+} from '../errors/customError.js';
 import prisma from '../lib/prisma.js';
 import { StatusCodes } from 'http-status-codes';
 import 'express-async-errors';
 import { createJWT } from '../utils/tokenUtils.js';
+import { reformUser } from '../utils/reformUser.js';
+import { ROLE_USER } from '../utils/constants.js';
+import {
+  createSession,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  rotateSession,
+} from '../utils/sessions.js';
+import {
+  REFRESH_TOKEN_COOKIE,
+  clearAuthCookies,
+  setAuthCookies,
+} from '../utils/authCookies.js';
+import {
+  EMAIL_VERIFICATION,
+  PASSWORD_RESET,
+  consumeUserToken,
+  createUserToken,
+} from '../utils/userTokens.js';
+import {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from '../utils/authEmails.js';
+
+// A mail outage should not fail the request that triggered the email.
+const sendEmailSafely = async (send) => {
+  try {
+    await send();
+  } catch (error) {
+    console.log(`failed to send email: ${error.message}`);
+  }
+};
+
+const requestEmailVerification = async (user) => {
+  const token = await createUserToken({
+    userId: user.id,
+    type: EMAIL_VERIFICATION,
+  });
+  await sendEmailSafely(() => sendVerificationEmail(user, token));
+};
+
+// Cookie clients get both tokens as httpOnly cookies and never see the
+// refresh token; other clients get both in the body.
+const sendTokens = (res, { user, session, refreshToken, useCookies, msg }) => {
+  const accessToken = createJWT({
+    userId: user.id,
+    role: user.role,
+    sessionId: session.id,
+  });
+
+  if (useCookies) {
+    setAuthCookies(res, { accessToken, refreshToken });
+  }
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg,
+    accessToken,
+    refreshToken: useCookies ? undefined : refreshToken,
+    data: reformUser(user),
+  });
+};
 
 /**
  * @swagger
  * /api/register:
  *   post:
  *     summary: Register a new user
- *     description: Endpoint for user registration. Hashes the user password and creates a new user.
+ *     description: Endpoint for user registration. Hashes the user password and creates a new unprivileged USER account, then emails a link to confirm the address. Staff and admin accounts are created through /api/users.
  *     tags:
  *       - Auth
  *     requestBody:
@@ -24,12 +92,6 @@ import { createJWT } from '../utils/tokenUtils.js';
  *                 type: string
  *                 format: name
  *                 example: john
- *               role:
- *                 type: string
- *                 enum:
- *                   - ADMIN
- *                   - USER
- *                 example: USER
  *               email:
  *                 type: string
  *                 format: email
@@ -73,18 +135,20 @@ import { createJWT } from '../utils/tokenUtils.js';
  *         description: Bad request
  *       401:
  *         description: Conflict, email already exists
+ *       429:
+ *         description: Too many attempts from this client, retry after the RateLimit-Reset seconds
  *       500:
  *         description: Internal server error
  */
 
 export const register = async (req, res, next) => {
-  const hashedPassword = await hashPassword(req.body.password);
-  req.body.password = hashedPassword;
+  const { name, email, password } = req.body;
+  const hashedPassword = await hashPassword(password);
 
   try {
     const userExisting = await prisma.user.findUnique({
       where: {
-        email: req.body.email,
+        email,
       },
     });
 
@@ -93,14 +157,21 @@ export const register = async (req, res, next) => {
     }
 
     const user = await prisma.user.create({
-      data: req.body,
+      data: {
+        name,
+        email,
+        password: hashedPassword,
+        role: ROLE_USER,
+      },
     });
 
+    await requestEmailVerification(user);
+
     res.status(StatusCodes.CREATED).json({
       status: 'Created',
       statusCode: StatusCodes.CREATED,
       msg: 'Successfully register',
-      data: user,
+      data: reformUser(user),
     });
   } catch (error) {
     next(error);
@@ -112,7 +183,7 @@ export const register = async (req, res, next) => {
  * /api/login:
  *   post:
  *     summary: Login a user
- *     description: Endpoint for user login. Validates user credentials and returns a JWT token.
+ *     description: Endpoint for user login. Validates user credentials and starts a session with a short-lived access token and a refresh token. With useCookies both tokens are also set as httpOnly cookies and the refresh token is left out of the body.
  *     tags:
  *       - Auth
  *     requestBody:
@@ -130,6 +201,9 @@ export const register = async (req, res, next) => {
  *                 type: string
  *                 format: password
  *                 example: strongpassword123
+ *               useCookies:
+ *                 type: boolean
+ *                 example: false
  *     responses:
  *       200:
  *         description: User successfully logged in
@@ -150,6 +224,9 @@ export const register = async (req, res, next) => {
  *                 accessToken:
  *                   type: string
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchange it at /api/auth/refresh; omitted for cookie logins
  *                 data:
  *                   type: object
  *                   description: The user object without the password
@@ -168,6 +245,8 @@ export const register = async (req, res, next) => {
  *         description: Bad request
  *       401:
  *         description: Unauthorized, invalid credentials
+ *       429:
+ *         description: Too many attempts from this client, retry after the RateLimit-Reset seconds
  *       500:
  *         description: Internal server error
  */
@@ -190,31 +269,87 @@ export const login = async (req, res, next) => {
       throw new UnauthenticatedError('Invalid password credentials');
     }
 
-    const token = createJWT({ userId: user.id, role: user.role });
+    if (!user.isActive) {
+      throw new UnauthenticatedError('Account is deactivated');
+    }
 
-    const userWithoutPassword = { ...user };
-    delete userWithoutPassword.password;
+    const { session, refreshToken } = await createSession({
+      user,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+    });
 
-    res.status(StatusCodes.OK).json({
-      status: 'OK',
-      statusCode: StatusCodes.OK,
+    sendTokens(res, {
+      user,
+      session,
+      refreshToken,
+      useCookies: req.body.useCookies === true,
       msg: 'Successfully login',
-      accessToken: token,
-      data: userWithoutPassword,
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     description: The refresh token is read from the body or from the refreshToken cookie, and is replaced by a new one; each refresh token works once. Presenting one that was already used revokes its session.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens, sent the same way as on login
+ *       401:
+ *         description: The refresh token is invalid, expired, reused or its account is deactivated
+ *       429:
+ *         description: Too many refreshes from this client, retry after the RateLimit-Reset seconds
+ */
+
+export const refresh = async (req, res) => {
+  const cookieToken = req.cookies?.[REFRESH_TOKEN_COOKIE];
+  const refreshToken = req.body?.refreshToken ?? cookieToken;
+
+  try {
+    const rotated = await rotateSession(refreshToken);
+
+    sendTokens(res, {
+      ...rotated,
+      useCookies: !req.body?.refreshToken && Boolean(cookieToken),
+      msg: 'Successfully refresh',
+    });
+  } catch (error) {
+    clearAuthCookies(res);
+    throw error;
+  }
+};
+
 /**
  * @swagger
  * /api/logout:
  *   post:
  *     summary: Logout a user
- *     description: Endpoint to log out a user by clearing the authentication token cookie.
+ *     description: Revokes the current session, identified by the access token or by a refresh token in the body or cookie, and clears the auth cookies. Its access and refresh tokens stop working at once.
  *     tags:
  *       - Auth
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logout successful
@@ -236,14 +371,411 @@ export const login = async (req, res, next) => {
  *         description: Internal server error
  */
 
-export const logout = (req, res) => {
-  res.cookie('token', '', {
-    httpOnly: true,
-    expires: new Date(Date.now()),
-  });
+export const logout = async (req, res) => {
+  if (req.user) {
+    await revokeSession(req.user.sessionId);
+  }
+
+  await revokeRefreshToken(
+    req.body?.refreshToken ?? req.cookies?.[REFRESH_TOKEN_COOKIE]
+  );
+
+  clearAuthCookies(res);
   return res.status(StatusCodes.OK).json({
     status: 'OK',
     statusCode: StatusCodes.OK,
     msg: 'Logout successful',
   });
 };
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout from every device
+ *     description: Revokes all sessions of the signed-in user, including the current one.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *       401:
+ *         description: Authentication invalid
+ */
+
+export const logoutAll = async (req, res) => {
+  await revokeUserSessions(req.user.userId);
+
+  clearAuthCookies(res);
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Logout successful',
+  });
+};
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always answers the same way, so it cannot be used to find out which emails have accounts. The link expires after 30 minutes and works once.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: A reset link was sent if the account exists
+ *       429:
+ *         description: Too many requests from this client
+ */
+
+export const forgotPassword = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: {
+      email: req.body.email,
+    },
+  });
+
+  if (user?.isActive) {
+    const token = await createUserToken({
+      userId: user.id,
+      type: PASSWORD_RESET,
+    });
+    await sendEmailSafely(() => sendPasswordResetEmail(user, token));
+  }
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'If the email has an account, a reset link was sent to it',
+  });
+};
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Choose a new password with the emailed token
+ *     description: Signs the user out of every device and confirms the email address.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: The password was changed
+ *       400:
+ *         description: The token is invalid, expired or already used
+ */
+
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  const userId = await consumeUserToken({ token, type: PASSWORD_RESET });
+  const user = await prisma.user.findUnique({
+    where: {
+      id: userId,
+    },
+  });
+
+  if (!user?.isActive) {
+    throw new BadRequestError('invalid or expired token');
+  }
+
+  await prisma.user.update({
+    where: {
+      id: userId,
+    },
+    data: {
+      password: await hashPassword(password),
+      emailVerifiedAt: user.emailVerifiedAt ?? new Date(),
+    },
+  });
+  await revokeUserSessions(userId);
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully reset password',
+  });
+};
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm the email address with the emailed token
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The email address was confirmed
+ *       400:
+ *         description: The token is invalid, expired or already used
+ */
+
+export const verifyEmail = async (req, res) => {
+  const userId = await consumeUserToken({
+    token: req.body.token,
+    type: EMAIL_VERIFICATION,
+  });
+
+  const user = await prisma.user.update({
+    where: {
+      id: userId,
+    },
+    data: {
+      emailVerifiedAt: new Date(),
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully verify email',
+    data: reformUser(user),
+  });
+};
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Email a new confirmation link to the signed-in user
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A new link was sent
+ *       400:
+ *         description: The email address is already confirmed
+ */
+
+export const resendVerificationEmail = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: {
+      id: req.user.userId,
+    },
+  });
+
+  if (user.emailVerifiedAt) {
+    throw new BadRequestError('email is already verified');
+  }
+
+  await requestEmailVerification(user);
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Verification email sent',
+  });
+};
+
+const findCurrentUser = async (req) => {
+  const user = await prisma.user.findUnique({
+    where: {
+      id: req.user.userId,
+    },
+  });
+
+  if (!user) {
+    throw new NotFoundError(`no user with id ${req.user.userId}`);
+  }
+
+  return user;
+};
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Returns the signed-in user
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The signed-in user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Authentication invalid
+ */
+
+export const getMe = async (req, res) => {
+  const user = await findCurrentUser(req);
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: reformUser(user),
+  });
+};
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   patch:
+ *     summary: Update the name or image of the signed-in user
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Rina
+ *               image:
+ *                 type: string
+ *                 nullable: true
+ *                 description: URL of the profile picture, or null to remove it
+ *                 example: https://example.com/rina.png
+ *     responses:
+ *       200:
+ *         description: The user was successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Authentication invalid
+ */
+
+export const updateMe = async (req, res) => {
+  const { name, image } = req.body;
+
+  await findCurrentUser(req);
+
+  const user = await prisma.user.update({
+    where: {
+      id: req.user.userId,
+    },
+    data: {
+      name,
+      image,
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully update profile',
+    data: reformUser(user),
+  });
+};
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the password of the signed-in user
+ *     description: Signs the user out of every other device; the current session stays signed in.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: The password was changed
+ *       400:
+ *         description: The current password is incorrect
+ *       401:
+ *         description: Authentication invalid
+ *       429:
+ *         description: Too many attempts, retry after the RateLimit-Reset seconds
+ */
+
+export const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await findCurrentUser(req);
+  const isValidPassword = await comparePassword(currentPassword, user.password);
+
+  if (!isValidPassword) {
+    throw new BadRequestError('current password is incorrect');
+  }
+
+  await prisma.user.update({
+    where: {
+      id: user.id,
+    },
+    data: {
+      password: await hashPassword(newPassword),
+    },
+  });
+  await revokeUserSessions(user.id, { except: req.user.sessionId });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully change password',
+  });
+};
@@ -0,0 +1,348 @@
+import 'express-async-errors';
+import prisma from '../lib/prisma.js';
+import { StatusCodes } from 'http-status-codes';
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from '../errors/customError.js';
+import { ROLE_ADMIN } from '../utils/constants.js';
+import { slugify } from '../utils/slugify.js';
+import {
+  buildProductQuery,
+  customerVisible,
+  paginationMeta,
+  productFields,
+} from '../utils/productQuery.js';
+import { invalidateMenu } from '../lib/cache.js';
+
+const isAdmin = (req) => req.user?.role === ROLE_ADMIN;
+
+const assertUniqueCategory = async ({ name, slug }, id) => {
+  const existing = await prisma.category.findFirst({
+    where: {
+      OR: [name && { name }, slug && { slug }].filter(Boolean),
+      NOT: id ? { id } : undefined,
+    },
+  });
+
+  if (existing) {
+    throw new ConflictError(`category ${existing.name} already exists`);
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the category
+ *         name:
+ *           type: string
+ *           description: The display name of the category
+ *         slug:
+ *           type: string
+ *           description: URL-friendly name, generated from the name when omitted
+ *         displayOrder:
+ *           type: integer
+ *           description: Position of the category on the menu, lowest first
+ *         icon:
+ *           type: string
+ *           description: Icon name or URL shown next to the category
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive categories and their products are hidden from customers
+ *       example:
+ *         id: 6680f1c2a1b2c3d4e5f60700
+ *         name: Coffee
+ *         slug: coffee
+ *         displayOrder: 1
+ *         icon: coffee
+ *         isActive: true
+ */
+
+/**
+ * @swagger
+ * /api/category:
+ *   get:
+ *     summary: Returns the menu categories in display order
+ *     description: Customers only get active categories. Admins sending a bearer token get every category.
+ *     tags: [Category]
+ *     responses:
+ *       200:
+ *         description: The list of the categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Category'
+ */
+
+export const getAllCategory = async (req, res) => {
+  const categories = await prisma.category.findMany({
+    where: isAdmin(req) ? {} : { isActive: true },
+    orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }],
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: categories,
+  });
+};
+
+/**
+ * @swagger
+ * /api/category:
+ *   post:
+ *     summary: Create a new category
+ *     tags: [Category]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *     responses:
+ *       201:
+ *         description: The category was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       409:
+ *         description: A category with the same name or slug exists
+ */
+
+export const createCategory = async (req, res) => {
+  const { name, displayOrder, icon, isActive } = req.body;
+  const slug = req.body.slug ?? slugify(name);
+
+  await assertUniqueCategory({ name, slug });
+
+  const category = await prisma.category.create({
+    data: {
+      name,
+      slug,
+      displayOrder,
+      icon,
+      isActive,
+    },
+  });
+
+  await invalidateMenu();
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'Created',
+    statusCode: StatusCodes.CREATED,
+    msg: 'Successfully create category',
+    data: category,
+  });
+};
+
+/**
+ * @swagger
+ * /api/category/{id}:
+ *   patch:
+ *     summary: Update some fields of the category by id
+ *     tags: [Category]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The category id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *     responses:
+ *       200:
+ *         description: The category was successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: A category with the same name or slug exists
+ */
+
+export const updateCategory = async (req, res) => {
+  const { id } = req.params;
+  const { name, slug, displayOrder, icon, isActive } = req.body;
+
+  if (name || slug) {
+    await assertUniqueCategory({ name, slug }, id);
+  }
+
+  const category = await prisma.category.update({
+    where: {
+      id,
+    },
+    data: {
+      name,
+      slug,
+      displayOrder,
+      icon,
+      isActive,
+    },
+  });
+
+  await invalidateMenu();
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully update category',
+    data: category,
+  });
+};
+
+/**
+ * @swagger
+ * /api/category/{id}:
+ *   delete:
+ *     summary: Delete the category by id
+ *     description: Only categories without products can be deleted. Deactivate the category to hide it instead.
+ *     tags: [Category]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The category id
+ *     responses:
+ *       202:
+ *         description: The category was successfully deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: The category still has products
+ *       404:
+ *         description: Category not found
+ */
+
+export const deleteCategory = async (req, res) => {
+  const { id } = req.params;
+
+  const productCount = await prisma.product.count({
+    where: {
+      categoryId: id,
+    },
+  });
+
+  if (productCount > 0) {
+    throw new BadRequestError(
+      `category still has ${productCount} products, move or deactivate it instead`
+    );
+  }
+
+  const category = await prisma.category.delete({
+    where: {
+      id,
+    },
+  });
+
+  await invalidateMenu();
+
+  res.status(StatusCodes.ACCEPTED).json({
+    status: 'Accepted',
+    statusCode: StatusCodes.ACCEPTED,
+    msg: 'Successfully delete category',
+    data: category,
+  });
+};
+
+/**
+ * @swagger
+ * /api/category/{slug}/products:
+ *   get:
+ *     summary: Returns the products in a category
+ *     description: Accepts the same page, limit, price, sort and search parameters as /api/product, and returns the same fields to customers.
+ *     tags: [Category]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The category slug
+ *     responses:
+ *       200:
+ *         description: The list of the products in the category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Category not found
+ */
+
+export const getCategoryProducts = async (req, res) => {
+  const { slug } = req.params;
+
+  const category = await prisma.category.findUnique({
+    where: {
+      slug,
+    },
+  });
+
+  if (!category || (!category.isActive && !isAdmin(req))) {
+    throw new NotFoundError(`no category with slug ${slug}`);
+  }
+
+  const { where, orderBy, skip, take, page, limit } = buildProductQuery({
+    ...req.query,
+    category: undefined,
+  });
+  const filter = {
+    AND: [
+      where,
+      { categoryId: category.id },
+      isAdmin(req) ? {} : customerVisible,
+    ],
+  };
+
+  const [total, products] = await Promise.all([
+    prisma.product.count({ where: filter }),
+    prisma.product.findMany({
+      where: filter,
+      ...productFields(isAdmin(req)),
+      orderBy,
+      skip,
+      take,
+    }),
+  ]);
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: products,
+    pagination: paginationMeta({ total, page, limit }),
+  });
+};
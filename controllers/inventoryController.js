@@ -0,0 +1,548 @@
+import 'express-async-errors';
+import prisma from '../lib/prisma.js';
+import { StatusCodes } from 'http-status-codes';
+import { BadRequestError, ConflictError } from '../errors/customError.js';
+import { adjustIngredientStock, isLowStock } from '../utils/ingredients.js';
+import { paginationMeta } from '../utils/productQuery.js';
+import { RESTOCK } from '../utils/stock.js';
+
+const assertUniqueIngredient = async (name, id) => {
+  const existing = await prisma.ingredient.findFirst({
+    where: {
+      name,
+      NOT: id ? { id } : undefined,
+    },
+  });
+
+  if (existing) {
+    throw new ConflictError(`ingredient ${existing.name} already exists`);
+  }
+};
+
+// Products whose recipe or modifier recipes use the ingredient.
+const countRecipeUses = (id) => {
+  const usedBy = { some: { ingredientId: id } };
+
+  return prisma.product.count({
+    where: {
+      OR: [
+        { recipe: usedBy },
+        {
+          modifierGroups: {
+            some: { options: { some: { recipe: usedBy } } },
+          },
+        },
+      ],
+    },
+  });
+};
+
+const countMovements = (id) =>
+  prisma.ingredientMovement.count({
+    where: {
+      ingredientId: id,
+    },
+  });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Ingredient:
+ *       type: object
+ *       required:
+ *         - name
+ *         - unit
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the ingredient
+ *         name:
+ *           type: string
+ *         unit:
+ *           type: string
+ *           enum: [G, KG, ML, L, PCS]
+ *           description: The unit of the stock and of every recipe using the ingredient
+ *         stock:
+ *           type: number
+ *           description: Set on create; change it through /api/inventory/ingredients/{id}/stock afterwards. Can go negative when paid orders use more than was counted.
+ *         lowStockThreshold:
+ *           type: number
+ *           description: The ingredient shows up in the low-stock report at or below this stock
+ *       example:
+ *         id: 6680f1c2a1b2c3d4e5f60800
+ *         name: Espresso beans
+ *         unit: G
+ *         stock: 2500
+ *         lowStockThreshold: 500
+ *     IngredientMovement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         ingredientId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [CONSUME, RETURN, RESTOCK, ADJUST]
+ *         quantity:
+ *           type: number
+ *         change:
+ *           type: number
+ *           description: Signed effect on the ingredient stock
+ *         stockAfter:
+ *           type: number
+ *         transactionId:
+ *           type: string
+ *           description: The paid order that consumed the ingredient, or gave it back when refunded
+ *         actorId:
+ *           type: string
+ *           description: The admin who restocked or adjusted
+ *         note:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/inventory/ingredients:
+ *   get:
+ *     summary: Returns every ingredient by name
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The list of the ingredients
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Ingredient'
+ */
+
+export const getIngredients = async (req, res) => {
+  const ingredients = await prisma.ingredient.findMany({
+    orderBy: {
+      name: 'asc',
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: ingredients,
+  });
+};
+
+/**
+ * @swagger
+ * /api/inventory/ingredients:
+ *   post:
+ *     summary: Create a new ingredient
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Ingredient'
+ *     responses:
+ *       201:
+ *         description: The ingredient was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ingredient'
+ *       409:
+ *         description: An ingredient with the same name exists
+ */
+
+export const createIngredient = async (req, res) => {
+  const { name, unit, stock, lowStockThreshold } = req.body;
+
+  await assertUniqueIngredient(name);
+
+  const ingredient = await prisma.ingredient.create({
+    data: {
+      name,
+      unit,
+      stock,
+      lowStockThreshold,
+      movements:
+        stock > 0
+          ? {
+              create: {
+                type: RESTOCK,
+                quantity: stock,
+                change: stock,
+                stockAfter: stock,
+                actorId: req.user.userId,
+                note: 'initial stock',
+              },
+            }
+          : undefined,
+    },
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'Created',
+    statusCode: StatusCodes.CREATED,
+    msg: 'Successfully create ingredient',
+    data: ingredient,
+  });
+};
+
+/**
+ * @swagger
+ * /api/inventory/ingredients/{id}:
+ *   patch:
+ *     summary: Update the name, unit or low-stock threshold of an ingredient
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ingredient id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *                 enum: [G, KG, ML, L, PCS]
+ *               lowStockThreshold:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: The ingredient was successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ingredient'
+ *       400:
+ *         description: The unit cannot change because recipes or stock movements use it
+ *       404:
+ *         description: Ingredient not found
+ *       409:
+ *         description: An ingredient with the same name exists
+ */
+
+export const updateIngredient = async (req, res) => {
+  const { id } = req.params;
+  const { name, unit, lowStockThreshold } = req.body;
+
+  if (name) {
+    await assertUniqueIngredient(name, id);
+  }
+
+  // Recipe quantities and the stock are counted in the unit, so changing it
+  // would silently rescale them.
+  if (unit) {
+    const existing = await prisma.ingredient.findUnique({
+      where: {
+        id,
+      },
+    });
+
+    if (
+      existing &&
+      unit !== existing.unit &&
+      ((await countRecipeUses(id)) > 0 || (await countMovements(id)) > 0)
+    ) {
+      throw new BadRequestError(
+        'unit cannot change once the ingredient is used in recipes or has stock movements'
+      );
+    }
+  }
+
+  const ingredient = await prisma.ingredient.update({
+    where: {
+      id,
+    },
+    data: {
+      name,
+      unit,
+      lowStockThreshold,
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully update ingredient',
+    data: ingredient,
+  });
+};
+
+/**
+ * @swagger
+ * /api/inventory/ingredients/{id}:
+ *   delete:
+ *     summary: Delete the ingredient
+ *     description: Only ingredients that no product or modifier recipe uses and that have no stock movements can be deleted, so the stock ledger stays complete.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ingredient id
+ *     responses:
+ *       202:
+ *         description: The ingredient was successfully deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ingredient'
+ *       400:
+ *         description: The ingredient is still used in a recipe or has stock movements
+ *       404:
+ *         description: Ingredient not found
+ */
+
+export const deleteIngredient = async (req, res) => {
+  const { id } = req.params;
+
+  const productCount = await countRecipeUses(id);
+
+  if (productCount > 0) {
+    throw new BadRequestError(
+      `ingredient is still used by ${productCount} products, remove it from their recipes first`
+    );
+  }
+
+  if ((await countMovements(id)) > 0) {
+    throw new BadRequestError(
+      'ingredient has stock movements, keep it for the stock ledger'
+    );
+  }
+
+  const ingredient = await prisma.ingredient.delete({
+    where: {
+      id,
+    },
+  });
+
+  res.status(StatusCodes.ACCEPTED).json({
+    status: 'Accepted',
+    statusCode: StatusCodes.ACCEPTED,
+    msg: 'Successfully delete ingredient',
+    data: ingredient,
+  });
+};
+
+/**
+ * @swagger
+ * /api/inventory/ingredients/{id}/stock:
+ *   post:
+ *     summary: Restock or adjust the stock of an ingredient
+ *     description: RESTOCK adds to the stock. ADJUST applies a signed correction, e.g. after a stock count. Quantities are in the ingredient's unit.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ingredient id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - quantity
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [RESTOCK, ADJUST]
+ *               quantity:
+ *                 type: number
+ *                 example: 1000
+ *               note:
+ *                 type: string
+ *                 example: weekly roaster delivery
+ *     responses:
+ *       201:
+ *         description: The stock movement was recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ingredient:
+ *                       $ref: '#/components/schemas/Ingredient'
+ *                     movement:
+ *                       $ref: '#/components/schemas/IngredientMovement'
+ *       400:
+ *         description: The adjustment would take stock below zero
+ *       404:
+ *         description: Ingredient not found
+ */
+
+export const adjustIngredient = async (req, res) => {
+  const { id } = req.params;
+  const { type, quantity, note } = req.body;
+
+  const result = await prisma.$transaction(async (tx) => {
+    const ingredient = await tx.ingredient.findUnique({
+      where: {
+        id,
+      },
+    });
+
+    return adjustIngredientStock(tx, {
+      ingredient,
+      type,
+      quantity,
+      actorId: req.user.userId,
+      note,
+    });
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'Created',
+    statusCode: StatusCodes.CREATED,
+    msg: 'Successfully update stock',
+    data: result,
+  });
+};
+
+/**
+ * @swagger
+ * /api/inventory/ingredients/{id}/movements:
+ *   get:
+ *     summary: Returns the stock ledger of an ingredient, newest first
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ingredient id
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: The stock movements of the ingredient
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/IngredientMovement'
+ *       404:
+ *         description: Ingredient not found
+ */
+
+export const getIngredientMovements = async (req, res) => {
+  const { id } = req.params;
+  const page = req.query.page ?? 1;
+  const limit = req.query.limit ?? 20;
+
+  const [total, movements] = await Promise.all([
+    prisma.ingredientMovement.count({ where: { ingredientId: id } }),
+    prisma.ingredientMovement.findMany({
+      where: {
+        ingredientId: id,
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: movements,
+    pagination: paginationMeta({ total, page, limit }),
+  });
+};
+
+/**
+ * @swagger
+ * /api/inventory/low-stock:
+ *   get:
+ *     summary: Returns the ingredients to reorder
+ *     description: Ingredients at or below their low-stock threshold, the furthest below first.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The ingredients running low
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Ingredient'
+ *                   - type: object
+ *                     properties:
+ *                       shortfall:
+ *                         type: number
+ *                         description: How far the stock is below the threshold
+ */
+
+export const getLowStockReport = async (req, res) => {
+  // Prisma cannot compare two fields on MongoDB, and the ingredient list of
+  // a single shop is small enough to filter here.
+  const ingredients = await prisma.ingredient.findMany();
+
+  const lowStock = ingredients
+    .filter(isLowStock)
+    .map((ingredient) => ({
+      ...ingredient,
+      shortfall: ingredient.lowStockThreshold - ingredient.stock,
+    }))
+    .sort((a, b) => b.shortfall - a.shortfall);
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: lowStock,
+  });
+};
@@ -0,0 +1,109 @@
+import 'express-async-errors';
+import { subscribeEvents } from '../lib/events.js';
+import { findActiveSession } from '../utils/sessions.js';
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const listOf = (value) =>
+  value ? String(value).split(',').filter(Boolean) : null;
+
+// Keeps the items of the requested stations and categories, and drops
+// events of orders with none of them.
+const filterEvent = (event, { stations, categories }) => {
+  if (!stations && !categories) return event;
+
+  const items = event.order.items.filter(
+    (item) =>
+      (!stations || stations.includes(item.stationId)) &&
+      (!categories || categories.includes(item.categoryId))
+  );
+
+  return items.length > 0
+    ? { ...event, order: { ...event.order, items } }
+    : null;
+};
+
+/**
+ * @swagger
+ * /api/kitchen/stream:
+ *   get:
+ *     summary: Live feed of order events for the kitchen display
+ *     description: |
+ *       A Server-Sent Events stream of `order.created`, `order.paid`, `order.status_changed` and `order.item_updated` events, each with the order and its items. Authenticate with the bearer header, the access token cookie or `?token=`, since EventSource cannot send headers. The stream closes when the session is logged out. After a reconnect, reload the current orders from /api/transaction.
+ *     tags:
+ *       - Kitchen
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: The access token, for clients that cannot send headers
+ *       - in: query
+ *         name: station
+ *         schema:
+ *           type: string
+ *         description: Comma-separated station ids; only items of these stations are sent
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category ids; only items of these categories are sent
+ *     responses:
+ *       200:
+ *         description: The event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: order.paid\ndata: {\"type\":\"order.paid\",\"order\":{\"id\":\"TRX-...\"}}\n\n"
+ *       401:
+ *         description: Authentication invalid
+ *       403:
+ *         description: Not authorized to access this route
+ */
+
+export const streamKitchenEvents = (req, res) => {
+  const filters = {
+    stations: listOf(req.query.station),
+    categories: listOf(req.query.category),
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stops nginx-style proxies from buffering the stream.
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribeEvents((event) => {
+    const filtered = filterEvent(event, filters);
+    if (!filtered) return;
+
+    res.write(`event: ${filtered.type}\ndata: ${JSON.stringify(filtered)}\n\n`);
+  });
+
+  // Comments keep idle connections open; the session check ends streams of
+  // users who logged out.
+  const heartbeat = setInterval(async () => {
+    const session = await findActiveSession(req.user.sessionId).catch(
+      () => true
+    );
+
+    if (!session) {
+      res.end();
+      return;
+    }
+
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
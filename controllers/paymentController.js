@@ -0,0 +1,231 @@
+import 'express-async-errors';
+import prisma from '../lib/prisma.js';
+import redis from '../lib/redis.js';
+import { StatusCodes } from 'http-status-codes';
+import { ACTOR_GATEWAY, CANCELED, PAID, PENDING } from '../utils/constants.js';
+import { changeTransactionStatus } from '../utils/orderStatus.js';
+import { verifyNotificationSignature } from '../lib/midtrans.js';
+import { invalidateMenu } from '../lib/cache.js';
+import { publishStatusChange } from '../utils/orderEvents.js';
+import { createExpirySweeper } from '../utils/paymentExpiry.js';
+import {
+  BadRequestError,
+  NotFoundError,
+  UnauthenticatedError,
+} from '../errors/customError.js';
+
+const expirySweeper = createExpirySweeper({ prisma, redis });
+
+const mapGatewayStatus = ({ transaction_status, fraud_status }) => {
+  switch (transaction_status) {
+    case 'capture':
+      return fraud_status === 'accept' ? PAID : PENDING;
+    case 'settlement':
+      return PAID;
+    case 'expire':
+    case 'cancel':
+    case 'deny':
+      return CANCELED;
+    default:
+      return PENDING;
+  }
+};
+
+/**
+ * @swagger
+ * /api/payment/notification:
+ *   post:
+ *     summary: Receive a payment notification from Midtrans
+ *     description: Verifies the SHA-512 signature key and moves a PENDING transaction to PAID or CANCELED. Duplicate notifications are acknowledged without changing the transaction again.
+ *     tags:
+ *       - Payment
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order_id
+ *               - status_code
+ *               - gross_amount
+ *               - signature_key
+ *               - transaction_status
+ *             properties:
+ *               order_id:
+ *                 type: string
+ *                 example: TRX-abcd-12345678
+ *               status_code:
+ *                 type: string
+ *                 example: "200"
+ *               gross_amount:
+ *                 type: string
+ *                 example: "25000.00"
+ *               signature_key:
+ *                 type: string
+ *               transaction_status:
+ *                 type: string
+ *                 enum:
+ *                   - capture
+ *                   - settlement
+ *                   - pending
+ *                   - expire
+ *                   - cancel
+ *                   - deny
+ *               fraud_status:
+ *                 type: string
+ *                 example: accept
+ *               payment_type:
+ *                 type: string
+ *                 example: qris
+ *     responses:
+ *       200:
+ *         description: Notification processed or already processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: OK
+ *                 statusCode:
+ *                   type: integer
+ *                   example: 200
+ *                 msg:
+ *                   type: string
+ *                   example: Notification processed
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: PAID
+ *                     paymentMethod:
+ *                       type: string
+ *                       example: qris
+ *       400:
+ *         description: Gross amount does not match the transaction
+ *       401:
+ *         description: Invalid signature key
+ *       404:
+ *         description: Transaction not found
+ */
+
+export const handlePaymentNotification = async (req, res) => {
+  const notification = req.body;
+
+  if (!verifyNotificationSignature(notification)) {
+    throw new UnauthenticatedError('invalid signature key');
+  }
+
+  const transaction = await prisma.transaction.findUnique({
+    where: {
+      id: notification.order_id,
+    },
+  });
+
+  if (!transaction) {
+    throw new NotFoundError(`no transaction with id ${notification.order_id}`);
+  }
+
+  if (Number(notification.gross_amount) !== transaction.total) {
+    throw new BadRequestError('gross amount does not match transaction');
+  }
+
+  const status = mapGatewayStatus(notification);
+
+  // Only a PENDING transaction can be settled by the gateway. Retried or
+  // out-of-order notifications are acknowledged so Midtrans stops resending.
+  if (status === PENDING || transaction.status !== PENDING) {
+    return res.status(StatusCodes.OK).json({
+      status: 'OK',
+      statusCode: StatusCodes.OK,
+      msg: 'Notification already processed',
+      data: {
+        id: transaction.id,
+        status: transaction.status,
+        paymentMethod: transaction.paymentMethod,
+      },
+    });
+  }
+
+  const updated = await prisma.$transaction((tx) =>
+    changeTransactionStatus(tx, {
+      id: transaction.id,
+      status,
+      actor: ACTOR_GATEWAY,
+      note: `midtrans ${notification.transaction_status}`,
+      data: {
+        paymentMethod: notification.payment_type ?? null,
+      },
+    })
+  );
+
+  if (updated.availabilityChanged) await invalidateMenu();
+
+  await publishStatusChange(updated);
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Notification processed',
+    data: {
+      id: updated.id,
+      status: updated.status,
+      paymentMethod: updated.paymentMethod,
+    },
+  });
+};
+
+/**
+ * @swagger
+ * /api/payment/expire:
+ *   get:
+ *     summary: Cancel unpaid transactions past their payment deadline
+ *     description: Runs one sweep of the payment expiry job. The server sweeps on a timer by itself, but serverless hosts such as Vercel stop the timer between requests, so schedule this route there instead, e.g. with a Vercel Cron job. Requires CRON_SECRET to be set and sent as a bearer token.
+ *     tags:
+ *       - Payment
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The sweep ran, or was skipped because another instance is sweeping
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: OK
+ *                 statusCode:
+ *                   type: integer
+ *                   example: 200
+ *                 msg:
+ *                   type: string
+ *                   example: Expired 2 transactions
+ *                 data:
+ *                   type: array
+ *                   nullable: true
+ *                   description: The ids of the expired transactions, null when skipped
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Missing or wrong CRON_SECRET
+ */
+
+export const expireOverduePayments = async (req, res) => {
+  const expired = await expirySweeper.sweep();
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: expired
+      ? `Expired ${expired.length} transactions`
+      : 'Another instance is sweeping',
+    data: expired,
+  });
+};
@@ -1,7 +1,44 @@
 import 'express-async-errors';
 import prisma from '../lib/prisma.js';
 import { StatusCodes } from 'http-status-codes';
-import { BadRequestError } from '../errors/customError.js';
+import { NotFoundError } from '../errors/customError.js';
+import { ROLE_ADMIN } from '../utils/constants.js';
+import {
+  buildProductQuery,
+  customerVisible,
+  includeCategory,
+  paginationMeta,
+  productFields,
+} from '../utils/productQuery.js';
+import { normalizeModifierGroups } from '../utils/modifiers.js';
+import { RESTOCK } from '../utils/stock.js';
+import { normalizeRecipe } from '../utils/ingredients.js';
+import {
+  MENU_CACHE_TTL_SECONDS,
+  cacheMenu,
+  invalidateMenu,
+} from '../lib/cache.js';
+
+const isAdmin = (req) => req.user?.role === ROLE_ADMIN;
+
+// Customers share cached responses; admins see unavailable and deleted
+// products too, so their responses are never cached.
+const sendMenu = async (req, res, key, load) => {
+  res.set('Vary', 'Authorization');
+
+  if (isAdmin(req)) {
+    res.set('Cache-Control', 'private, no-cache');
+    return res.status(StatusCodes.OK).json(await load());
+  }
+
+  const { body, etag } = await cacheMenu(key, load);
+
+  res.set({
+    ETag: etag,
+    'Cache-Control': `public, max-age=${MENU_CACHE_TTL_SECONDS}`,
+  });
+  res.status(StatusCodes.OK).json(body);
+};
 
 /**
  * @swagger
@@ -12,6 +49,7 @@ import { BadRequestError } from '../errors/customError.js';
  *       required:
  *         - name
  *         - price
+ *         - categoryId
  *       properties:
  *         id:
  *           type: string
@@ -20,20 +58,139 @@ import { BadRequestError } from '../errors/customError.js';
  *           type: string
  *           description: The name of the product
  *         price:
- *           type: number
- *           description: The price of the product
+ *           type: integer
+ *           description: The price of the product, in whole currency units
  *         description:
  *           type: string
  *           description: The description of the product
+ *         categoryId:
+ *           type: string
+ *           description: The id of the product category
+ *         stationId:
+ *           type: string
+ *           nullable: true
+ *           description: The kitchen station that prepares the product
  *         category:
+ *           type: object
+ *           readOnly: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             slug:
+ *               type: string
+ *         isAvailable:
+ *           type: boolean
+ *           description: Whether customers can see and order the product
+ *         soldOutAt:
  *           type: string
- *           description: The category of the product
+ *           format: date-time
+ *           description: Set when the product was hidden because it sold out; it is shown again on restock. Cleared when isAvailable is set by hand.
+ *         modifierGroups:
+ *           type: array
+ *           description: Options such as size or milk, each with a price delta
+ *           items:
+ *             $ref: '#/components/schemas/ModifierGroup'
+ *         recipe:
+ *           type: array
+ *           description: Ingredients used per unit sold, deducted when the order is paid
+ *           items:
+ *             $ref: '#/components/schemas/RecipeItem'
+ *         stock:
+ *           type: integer
+ *           nullable: true
+ *           description: Units left to sell, or null for unlimited. Set on create; change it through /api/product/{id}/stock afterwards.
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the product was deleted, only shown to admins
  *       example:
- *         id: 1
+ *         id: 6680f1c2a1b2c3d4e5f60718
  *         name: Coffee
- *         category: Coffe
- *         price: 10.5
+ *         categoryId: 6680f1c2a1b2c3d4e5f60700
+ *         category:
+ *           id: 6680f1c2a1b2c3d4e5f60700
+ *           name: Coffee
+ *           slug: coffee
+ *         price: 25000
  *         description: A delicious cup of coffee
+ *         isAvailable: true
+ *         modifierGroups:
+ *           - id: size
+ *             name: Size
+ *             required: true
+ *             minSelect: 1
+ *             maxSelect: 1
+ *             options:
+ *               - id: size-regular
+ *                 name: Regular
+ *                 priceDelta: 0
+ *               - id: size-large
+ *                 name: Large
+ *                 priceDelta: 5000
+ *           - id: extras
+ *             name: Extras
+ *             required: false
+ *             minSelect: 0
+ *             maxSelect: 2
+ *             options:
+ *               - id: oat-milk
+ *                 name: Oat milk
+ *                 priceDelta: 6000
+ *               - id: extra-shot
+ *                 name: Extra shot
+ *                 priceDelta: 4000
+ *     ModifierGroup:
+ *       type: object
+ *       required:
+ *         - name
+ *         - options
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Generated when omitted; keep it when updating
+ *         name:
+ *           type: string
+ *         required:
+ *           type: boolean
+ *           description: Whether every order line must choose from this group
+ *         minSelect:
+ *           type: integer
+ *         maxSelect:
+ *           type: integer
+ *         options:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               priceDelta:
+ *                 type: integer
+ *                 description: Added to the product price when chosen
+ *               isAvailable:
+ *                 type: boolean
+ *               recipe:
+ *                 type: array
+ *                 description: Ingredients used on top of the product recipe when chosen
+ *                 items:
+ *                   $ref: '#/components/schemas/RecipeItem'
+ *     RecipeItem:
+ *       type: object
+ *       required:
+ *         - ingredientId
+ *         - quantity
+ *       properties:
+ *         ingredientId:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *           description: Ingredient used per unit sold, in the ingredient's unit
  */
 
 /**
@@ -41,31 +198,126 @@ import { BadRequestError } from '../errors/customError.js';
  * /api/product:
  *   get:
  *     summary: Returns the list of all the products
+ *     description: Customers only get available products, without stock, recipes and other internal fields. Admins sending a bearer token get whole products, including unavailable and deleted ones. Customer responses are cached and carry an ETag; send it back in If-None-Match to get a 304.
  *     tags: [Product]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only products in the category with this slug
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [price, name, createdAt]
+ *           default: createdAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to desc for createdAt and asc otherwise
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive search over name and description
  *     responses:
  *       200:
  *         description: The list of the products
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: OK
+ *                 statusCode:
+ *                   type: integer
+ *                   example: 200
+ *                 msg:
+ *                   type: string
+ *                   example: SUCCESS
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       example: 42
+ *                     page:
+ *                       type: integer
+ *                       example: 2
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
+ *                     pages:
+ *                       type: integer
+ *                       example: 3
+ *                     next:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 3
+ *                     prev:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 1
  */
 
 export const getAllProduct = async (req, res, next) => {
-  try {
-    const response = await prisma.product.findMany({
-      orderBy: {
-        createdAt: 'desc',
-      },
-    });
-    res.status(StatusCodes.OK).json({
+  const load = async () => {
+    const { where, orderBy, skip, take, page, limit } = buildProductQuery(
+      req.query
+    );
+    const filter = isAdmin(req) ? where : { AND: [where, customerVisible] };
+
+    const [total, response] = await Promise.all([
+      prisma.product.count({ where: filter }),
+      prisma.product.findMany({
+        where: filter,
+        ...productFields(isAdmin(req)),
+        orderBy,
+        skip,
+        take,
+      }),
+    ]);
+
+    return {
       status: 'OK',
       statusCode: StatusCodes.OK,
       msg: 'SUCCESS',
       data: response,
-    });
+      pagination: paginationMeta({ total, page, limit }),
+    };
+  };
+  const query = new URLSearchParams(Object.entries(req.query).sort());
+
+  try {
+    await sendMenu(req, res, `products?${query}`, load);
   } catch (error) {
     next(error);
   }
@@ -77,6 +329,8 @@ export const getAllProduct = async (req, res, next) => {
  *   post:
  *     summary: Create a new product
  *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -90,17 +344,60 @@ export const getAllProduct = async (req, res, next) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
+ *       401:
+ *         description: Authentication invalid
+ *       403:
+ *         description: Not authorized to access this route
  */
 export const createProduct = async (req, res, next) => {
-  const data = {
-    ...req.body,
-  };
+  const {
+    name,
+    image,
+    categoryId,
+    stationId,
+    description,
+    price,
+    isAvailable,
+    modifierGroups,
+    recipe,
+    stock,
+  } = req.body;
 
   try {
     const response = await prisma.product.create({
-      data,
+      data: {
+        name,
+        image,
+        categoryId,
+        stationId,
+        description,
+        price,
+        isAvailable: stock === 0 ? false : isAvailable,
+        soldOutAt:
+          stock === 0 && isAvailable !== false ? new Date() : undefined,
+        stock,
+        stockMovements:
+          stock > 0
+            ? {
+                create: {
+                  type: RESTOCK,
+                  quantity: stock,
+                  change: stock,
+                  stockAfter: stock,
+                  actorId: req.user.userId,
+                  note: 'initial stock',
+                },
+              }
+            : undefined,
+        modifierGroups:
+          modifierGroups && normalizeModifierGroups(modifierGroups),
+        recipe: recipe && normalizeRecipe(recipe),
+      },
+      include: includeCategory,
     });
 
+    await invalidateMenu();
+
     res.status(StatusCodes.CREATED).json({
       status: 'Created',
       statusCode: StatusCodes.CREATED,
@@ -132,29 +429,144 @@ export const createProduct = async (req, res, next) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product not found
  */
 
 export const getProductById = async (req, res, next) => {
   const { id } = req.params;
 
+  const load = async () => {
+    const response = await prisma.product.findFirst({
+      where: isAdmin(req) ? { id } : { id, ...customerVisible },
+      ...productFields(isAdmin(req)),
+    });
+
+    if (!response) {
+      throw new NotFoundError(`no product with id ${id}`);
+    }
+
+    return {
+      status: 'OK',
+      statusCode: StatusCodes.OK,
+      msg: 'SUCCESS',
+      data: response,
+    };
+  };
+
+  try {
+    await sendMenu(req, res, `product:${id}`, load);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/product/{id}:
+ *   patch:
+ *     summary: Update some fields of the product by id
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *               categoryId:
+ *                 type: string
+ *               stationId:
+ *                 type: string
+ *                 nullable: true
+ *               description:
+ *                 type: string
+ *               price:
+ *                 type: integer
+ *               isAvailable:
+ *                 type: boolean
+ *               modifierGroups:
+ *                 type: array
+ *                 description: Replaces all modifier groups of the product
+ *                 items:
+ *                   $ref: '#/components/schemas/ModifierGroup'
+ *             example:
+ *               price: 28000
+ *     responses:
+ *       200:
+ *         description: The product was successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid product fields
+ *       401:
+ *         description: Authentication invalid
+ *       403:
+ *         description: Not authorized to access this route
+ *       404:
+ *         description: Product not found
+ */
+
+export const updateProduct = async (req, res, next) => {
+  const { id } = req.params;
+  const {
+    name,
+    image,
+    categoryId,
+    stationId,
+    description,
+    price,
+    isAvailable,
+    modifierGroups,
+    recipe,
+  } = req.body;
+
   try {
-    const response = await prisma.product.findUnique({
+    const response = await prisma.product.update({
       where: {
         id,
       },
+      data: {
+        name,
+        image,
+        categoryId,
+        stationId,
+        description,
+        price,
+        isAvailable,
+        // The admin decides from now on, so restocking leaves it as is.
+        soldOutAt: isAvailable === undefined ? undefined : null,
+        modifierGroups:
+          modifierGroups && normalizeModifierGroups(modifierGroups),
+        recipe: recipe && normalizeRecipe(recipe),
+      },
+      include: includeCategory,
     });
 
+    await invalidateMenu();
+
     res.status(StatusCodes.OK).json({
       status: 'OK',
       statusCode: StatusCodes.OK,
-      msg: 'SUCCESS',
+      msg: 'Successfully update product',
       data: response,
     });
   } catch (error) {
-    if (error.meta.message.startsWith('Malformed ObjectID:')) {
-      throw new BadRequestError(`no product with id ${id}`);
-    }
-
     next(error);
   }
 };
@@ -164,7 +576,10 @@ export const getProductById = async (req, res, next) => {
  * /api/product/{id}:
  *   delete:
  *     summary: Delete the product by id
+ *     description: Soft-deletes the product so past transactions keep their product details.
  *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -179,18 +594,30 @@ export const getProductById = async (req, res, next) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
+ *       401:
+ *         description: Authentication invalid
+ *       403:
+ *         description: Not authorized to access this route
+ *       404:
+ *         description: Product not found
  */
 
 export const deleteProductById = async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    const response = await prisma.product.delete({
+    const response = await prisma.product.update({
       where: {
         id,
       },
+      data: {
+        isAvailable: false,
+        deletedAt: new Date(),
+      },
     });
 
+    await invalidateMenu();
+
     res.status(StatusCodes.ACCEPTED).json({
       status: 'Accepted',
       statusCode: StatusCodes.ACCEPTED,
@@ -198,10 +625,6 @@ export const deleteProductById = async (req, res, next) => {
       data: response,
     });
   } catch (error) {
-    if (error.meta.message.startsWith('Malformed ObjectID:')) {
-      throw new BadRequestError(`no product with id ${id}`);
-    }
-
     next(error);
   }
 };
@@ -0,0 +1,505 @@
+import 'express-async-errors';
+import prisma from '../lib/prisma.js';
+import { StatusCodes } from 'http-status-codes';
+import { BadRequestError, ConflictError } from '../errors/customError.js';
+import { DINE_IN } from '../utils/constants.js';
+import {
+  buildOrderLines,
+  orderFees,
+  orderSubtotal,
+  orderTotal,
+} from '../utils/orderPricing.js';
+import { applyPromotion, promotionErrors } from '../utils/promotions.js';
+
+const PROMOTION_FIELDS = [
+  'code',
+  'name',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'buyQuantity',
+  'getQuantity',
+  'productIds',
+  'categoryIds',
+  'minSpend',
+  'startsAt',
+  'endsAt',
+  'schedule',
+  'usageLimit',
+  'perCustomerLimit',
+  'isActive',
+];
+
+// The promotion fields of the request body, leaving out the ones not sent.
+const promotionData = (body) => {
+  const data = Object.fromEntries(
+    PROMOTION_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+  if (data.schedule) {
+    data.schedule = data.schedule.map(({ days = [], startTime, endTime }) => ({
+      days,
+      startTime,
+      endTime,
+    }));
+  }
+
+  return data;
+};
+
+const assertValidPromotion = (promotion) => {
+  const errors = promotionErrors(promotion);
+
+  if (errors.length > 0) {
+    throw new BadRequestError('invalid promotion', errors);
+  }
+};
+
+const assertUniqueCode = async (code, id) => {
+  const existing = await prisma.promotion.findFirst({
+    where: {
+      code,
+      NOT: id ? { id } : undefined,
+    },
+  });
+
+  if (existing) {
+    throw new ConflictError(`promo code ${code} already exists`);
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromotionSchedule:
+ *       type: object
+ *       required:
+ *         - startTime
+ *         - endTime
+ *       properties:
+ *         days:
+ *           type: array
+ *           description: 0 is Sunday; empty or omitted means every day
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *         startTime:
+ *           type: string
+ *           example: '15:00'
+ *         endTime:
+ *           type: string
+ *           description: Exclusive; before startTime for slots past midnight
+ *           example: '17:00'
+ *     Promotion:
+ *       type: object
+ *       required:
+ *         - code
+ *         - name
+ *         - type
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the promotion
+ *         code:
+ *           type: string
+ *           description: What customers enter, stored uppercase
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [PERCENTAGE, FIXED, BUY_X_GET_Y]
+ *         value:
+ *           type: number
+ *           description: Percent off for PERCENTAGE, amount off for FIXED, percent off the free items for BUY_X_GET_Y (100 when omitted)
+ *         maxDiscount:
+ *           type: integer
+ *           description: Caps a PERCENTAGE discount
+ *         buyQuantity:
+ *           type: integer
+ *           description: Required for BUY_X_GET_Y
+ *         getQuantity:
+ *           type: integer
+ *           description: Required for BUY_X_GET_Y; the cheapest items are the free ones
+ *         productIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         categoryIds:
+ *           type: array
+ *           description: Together with productIds the items the promotion applies to; both empty means the whole order
+ *           items:
+ *             type: string
+ *         minSpend:
+ *           type: integer
+ *           description: Minimum item total of the order, before fees
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         schedule:
+ *           type: array
+ *           description: When set, the code only works during these slots, in PROMO_TIMEZONE
+ *           items:
+ *             $ref: '#/components/schemas/PromotionSchedule'
+ *         usageLimit:
+ *           type: integer
+ *           description: Uses of the code in total
+ *         perCustomerLimit:
+ *           type: integer
+ *           description: Uses of the code per customer email
+ *         usedCount:
+ *           type: integer
+ *           description: Uses by orders that were not canceled or refunded
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         id: 6680f1c2a1b2c3d4e5f60b00
+ *         code: HAPPYHOUR
+ *         name: Happy hour
+ *         type: PERCENTAGE
+ *         value: 20
+ *         maxDiscount: 25000
+ *         categoryIds: [6680f1c2a1b2c3d4e5f60100]
+ *         schedule:
+ *           - days: [1, 2, 3, 4, 5]
+ *             startTime: '15:00'
+ *             endTime: '17:00'
+ *         perCustomerLimit: 1
+ *         usedCount: 12
+ *         isActive: true
+ *     AppliedDiscount:
+ *       type: object
+ *       properties:
+ *         promotionId:
+ *           type: string
+ *         code:
+ *           type: string
+ *         name:
+ *           type: string
+ *         amount:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/promo:
+ *   get:
+ *     summary: Returns the promotions
+ *     tags: [Promotion]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The list of the promotions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Promotion'
+ */
+
+export const getPromotions = async (req, res) => {
+  const promotions = await prisma.promotion.findMany({
+    orderBy: {
+      createdAt: 'desc',
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: promotions,
+  });
+};
+
+/**
+ * @swagger
+ * /api/promo:
+ *   post:
+ *     summary: Create a new promotion
+ *     tags: [Promotion]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: The promotion was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: The promotion is invalid, e.g. a percentage above 100
+ *       409:
+ *         description: A promotion with the same code exists
+ */
+
+export const createPromotion = async (req, res) => {
+  const data = promotionData(req.body);
+
+  assertValidPromotion(data);
+  await assertUniqueCode(data.code);
+
+  const promotion = await prisma.promotion.create({
+    data: {
+      productIds: [],
+      categoryIds: [],
+      schedule: [],
+      ...data,
+    },
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'Created',
+    statusCode: StatusCodes.CREATED,
+    msg: 'Successfully create promotion',
+    data: promotion,
+  });
+};
+
+/**
+ * @swagger
+ * /api/promo/{id}:
+ *   patch:
+ *     summary: Update some fields of the promotion by id
+ *     description: Send null to clear an optional field, e.g. usageLimit.
+ *     tags: [Promotion]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The promotion id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: The promotion was successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: The promotion would be invalid
+ *       404:
+ *         description: Promotion not found
+ *       409:
+ *         description: A promotion with the same code exists
+ */
+
+export const updatePromotion = async (req, res) => {
+  const { id } = req.params;
+  const data = promotionData(req.body);
+
+  const existing = await prisma.promotion.findUnique({
+    where: {
+      id,
+    },
+  });
+
+  assertValidPromotion({ ...existing, ...data });
+
+  if (data.code) {
+    await assertUniqueCode(data.code, id);
+  }
+
+  const promotion = await prisma.promotion.update({
+    where: {
+      id,
+    },
+    data,
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully update promotion',
+    data: promotion,
+  });
+};
+
+/**
+ * @swagger
+ * /api/promo/{id}:
+ *   delete:
+ *     summary: Delete the promotion by id
+ *     description: Only promotions that were never used can be deleted.
+ *     tags: [Promotion]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The promotion id
+ *     responses:
+ *       202:
+ *         description: The promotion was successfully deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: The promotion was used by orders
+ *       404:
+ *         description: Promotion not found
+ */
+
+export const deletePromotion = async (req, res) => {
+  const { id } = req.params;
+
+  const redemptionCount = await prisma.promotionRedemption.count({
+    where: {
+      promotionId: id,
+    },
+  });
+
+  if (redemptionCount > 0) {
+    throw new BadRequestError(
+      'promotion was used by orders, deactivate it instead'
+    );
+  }
+
+  const promotion = await prisma.promotion.delete({
+    where: {
+      id,
+    },
+  });
+
+  res.status(StatusCodes.ACCEPTED).json({
+    status: 'Accepted',
+    statusCode: StatusCodes.ACCEPTED,
+    msg: 'Successfully delete promotion',
+    data: promotion,
+  });
+};
+
+/**
+ * @swagger
+ * /api/promo/validate:
+ *   post:
+ *     summary: Preview the discount of a promo code on an order
+ *     description: Checks the code as the order would, without using it. The code is only redeemed when the order is created with it as promoCode.
+ *     tags: [Promotion]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - products
+ *             properties:
+ *               code:
+ *                 type: string
+ *               products:
+ *                 type: array
+ *                 description: The order lines, as for POST /api/transaction
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     modifiers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *               orderType:
+ *                 type: string
+ *                 enum: [DINE_IN, TAKEAWAY, DELIVERY]
+ *                 default: DINE_IN
+ *               customerEmail:
+ *                 type: string
+ *                 description: Checks the per-customer limit when given
+ *     responses:
+ *       200:
+ *         description: The code applies to the order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 discount:
+ *                   $ref: '#/components/schemas/AppliedDiscount'
+ *                 subtotal:
+ *                   type: integer
+ *                   description: The items before the discount
+ *                 fees:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderFee'
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: The code cannot be used for this order, the message says why
+ *       429:
+ *         description: Too many attempts, retry after the RateLimit-Reset seconds
+ */
+
+export const previewPromotion = async (req, res) => {
+  const { code, products, customerEmail, orderType = DINE_IN } = req.body;
+
+  const productsFromDB = await prisma.product.findMany({
+    where: {
+      id: {
+        in: products.map((product) => product.id),
+      },
+    },
+    include: {
+      category: true,
+    },
+  });
+
+  const { lines, errors } = buildOrderLines(products, productsFromDB);
+
+  if (errors.length > 0) {
+    throw new BadRequestError('some order lines are invalid', errors);
+  }
+
+  const { discount } = await applyPromotion(prisma, {
+    code,
+    lines,
+    customerEmail,
+  });
+  const fees = orderFees(orderType);
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: {
+      discount,
+      subtotal: orderSubtotal(lines),
+      fees,
+      total: orderTotal(lines, fees, [discount]),
+    },
+  });
+};
@@ -0,0 +1,379 @@
+import 'express-async-errors';
+import prisma from '../lib/prisma.js';
+import { StatusCodes } from 'http-status-codes';
+import { BadRequestError, ConflictError } from '../errors/customError.js';
+import { slugify } from '../utils/slugify.js';
+import { IN_KITCHEN, IN_PROGRESS, QUEUED } from '../utils/prepStatus.js';
+
+const assertUniqueStation = async ({ name, slug }, id) => {
+  const existing = await prisma.station.findFirst({
+    where: {
+      OR: [name && { name }, slug && { slug }].filter(Boolean),
+      NOT: id ? { id } : undefined,
+    },
+  });
+
+  if (existing) {
+    throw new ConflictError(`station ${existing.name} already exists`);
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Station:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the station
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           description: URL-friendly name, generated from the name when omitted
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         id: 6680f1c2a1b2c3d4e5f60900
+ *         name: Espresso bar
+ *         slug: espresso-bar
+ *         isActive: true
+ *     StationQueueItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         productName:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         modifiers:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SelectedModifier'
+ *         prepStatus:
+ *           type: string
+ *           enum: [QUEUED, IN_PROGRESS, DONE]
+ *         prepStartedAt:
+ *           type: string
+ *           format: date-time
+ *         transaction:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             status:
+ *               type: string
+ *             customerName:
+ *               type: string
+ *             orderType:
+ *               type: string
+ *               enum: [DINE_IN, TAKEAWAY, DELIVERY]
+ *             customerTableNumber:
+ *               type: integer
+ *               nullable: true
+ *             pickupAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/station:
+ *   get:
+ *     summary: Returns the kitchen stations
+ *     tags: [Station]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The list of the stations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Station'
+ */
+
+export const getStations = async (req, res) => {
+  const stations = await prisma.station.findMany({
+    orderBy: {
+      name: 'asc',
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: stations,
+  });
+};
+
+/**
+ * @swagger
+ * /api/station:
+ *   post:
+ *     summary: Create a new kitchen station
+ *     tags: [Station]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Station'
+ *     responses:
+ *       201:
+ *         description: The station was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Station'
+ *       409:
+ *         description: A station with the same name or slug exists
+ */
+
+export const createStation = async (req, res) => {
+  const { name, isActive } = req.body;
+  const slug = req.body.slug ?? slugify(name);
+
+  await assertUniqueStation({ name, slug });
+
+  const station = await prisma.station.create({
+    data: {
+      name,
+      slug,
+      isActive,
+    },
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'Created',
+    statusCode: StatusCodes.CREATED,
+    msg: 'Successfully create station',
+    data: station,
+  });
+};
+
+/**
+ * @swagger
+ * /api/station/{id}:
+ *   patch:
+ *     summary: Update some fields of the station by id
+ *     tags: [Station]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The station id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Station'
+ *     responses:
+ *       200:
+ *         description: The station was successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Station'
+ *       404:
+ *         description: Station not found
+ *       409:
+ *         description: A station with the same name or slug exists
+ */
+
+export const updateStation = async (req, res) => {
+  const { id } = req.params;
+  const { name, slug, isActive } = req.body;
+
+  if (name || slug) {
+    await assertUniqueStation({ name, slug }, id);
+  }
+
+  const station = await prisma.station.update({
+    where: {
+      id,
+    },
+    data: {
+      name,
+      slug,
+      isActive,
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully update station',
+    data: station,
+  });
+};
+
+/**
+ * @swagger
+ * /api/station/{id}:
+ *   delete:
+ *     summary: Delete the station by id
+ *     description: Only stations without products and without items in their queue can be deleted.
+ *     tags: [Station]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The station id
+ *     responses:
+ *       202:
+ *         description: The station was successfully deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Station'
+ *       400:
+ *         description: The station still has products or queued items
+ *       404:
+ *         description: Station not found
+ */
+
+export const deleteStation = async (req, res) => {
+  const { id } = req.params;
+
+  const productCount = await prisma.product.count({
+    where: {
+      stationId: id,
+    },
+  });
+
+  if (productCount > 0) {
+    throw new BadRequestError(
+      `station still has ${productCount} products, move them to another station first`
+    );
+  }
+
+  const itemCount = await prisma.transactionsItem.count({
+    where: {
+      stationId: id,
+    },
+  });
+
+  if (itemCount > 0) {
+    throw new BadRequestError(
+      'station has order history, deactivate it instead'
+    );
+  }
+
+  const station = await prisma.station.delete({
+    where: {
+      id,
+    },
+  });
+
+  res.status(StatusCodes.ACCEPTED).json({
+    status: 'Accepted',
+    statusCode: StatusCodes.ACCEPTED,
+    msg: 'Successfully delete station',
+    data: station,
+  });
+};
+
+/**
+ * @swagger
+ * /api/station/{id}/queue:
+ *   get:
+ *     summary: Returns the items the station still has to make, oldest order first
+ *     description: Items of paid orders that are queued or in progress at this station.
+ *     tags: [Station]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The station id
+ *       - in: query
+ *         name: prepStatus
+ *         schema:
+ *           type: string
+ *           enum: [QUEUED, IN_PROGRESS]
+ *         description: Only return items with this status
+ *     responses:
+ *       200:
+ *         description: The queue of the station
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StationQueueItem'
+ *       404:
+ *         description: Station not found
+ */
+
+export const getStationQueue = async (req, res) => {
+  const { id } = req.params;
+  const { prepStatus } = req.query;
+
+  const items = await prisma.transactionsItem.findMany({
+    where: {
+      stationId: id,
+      prepStatus: prepStatus ?? { in: [QUEUED, IN_PROGRESS] },
+      transactions: {
+        is: { status: { in: IN_KITCHEN } },
+      },
+    },
+    include: {
+      transactions: {
+        select: {
+          id: true,
+          status: true,
+          customerName: true,
+          orderType: true,
+          customerTableNumber: true,
+          pickupAt: true,
+          createdAt: true,
+        },
+      },
+    },
+    orderBy: {
+      createdAt: 'asc',
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: items.map(({ transactions, ...item }) => ({
+      id: item.id,
+      productName: item.productName,
+      quantity: item.quantity,
+      modifiers: item.modifiers,
+      prepStatus: item.prepStatus,
+      prepStartedAt: item.prepStartedAt,
+      transaction: transactions,
+    })),
+  });
+};
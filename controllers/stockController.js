@@ -0,0 +1,193 @@
+import 'express-async-errors';
+import prisma from '../lib/prisma.js';
+import { StatusCodes } from 'http-status-codes';
+import { adjustStock } from '../utils/stock.js';
+import { paginationMeta } from '../utils/productQuery.js';
+import { invalidateMenu } from '../lib/cache.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         productId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [RESERVE, COMMIT, RELEASE, RESTOCK, ADJUST]
+ *         quantity:
+ *           type: integer
+ *           description: Units involved in the movement
+ *         change:
+ *           type: integer
+ *           description: Signed effect on the product stock (0 for COMMIT)
+ *         stockAfter:
+ *           type: integer
+ *         transactionId:
+ *           type: string
+ *           description: The order that reserved, committed or released the stock
+ *         actorId:
+ *           type: string
+ *           description: The admin who restocked or adjusted
+ *         note:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/product/{id}/stock:
+ *   post:
+ *     summary: Restock or adjust the stock of a product
+ *     description: RESTOCK adds units. ADJUST applies a signed correction, e.g. -2 for spoiled items. Products become unavailable when stock reaches 0 and available again when it is restocked.
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - quantity
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [RESTOCK, ADJUST]
+ *               quantity:
+ *                 type: integer
+ *                 example: 12
+ *               note:
+ *                 type: string
+ *                 example: morning bakery delivery
+ *     responses:
+ *       201:
+ *         description: The stock movement was recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       $ref: '#/components/schemas/Product'
+ *                     movement:
+ *                       $ref: '#/components/schemas/StockMovement'
+ *       400:
+ *         description: The adjustment would take stock below zero
+ *       404:
+ *         description: Product not found
+ */
+
+export const adjustProductStock = async (req, res) => {
+  const { id } = req.params;
+  const { type, quantity, note } = req.body;
+
+  const result = await prisma.$transaction(async (tx) => {
+    const product = await tx.product.findUnique({
+      where: {
+        id,
+      },
+    });
+
+    return adjustStock(tx, {
+      product,
+      type,
+      quantity,
+      actorId: req.user.userId,
+      note,
+    });
+  });
+
+  await invalidateMenu();
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'Created',
+    statusCode: StatusCodes.CREATED,
+    msg: 'Successfully update stock',
+    data: result,
+  });
+};
+
+/**
+ * @swagger
+ * /api/product/{id}/stock-movements:
+ *   get:
+ *     summary: Returns the stock ledger of a product, newest first
+ *     tags: [Product]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product id
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: The stock movements of the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StockMovement'
+ *       404:
+ *         description: Product not found
+ */
+
+export const getProductStockMovements = async (req, res) => {
+  const { id } = req.params;
+  const page = req.query.page ?? 1;
+  const limit = req.query.limit ?? 20;
+
+  const [total, movements] = await Promise.all([
+    prisma.stockMovement.count({ where: { productId: id } }),
+    prisma.stockMovement.findMany({
+      where: {
+        productId: id,
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: movements,
+    pagination: paginationMeta({ total, page, limit }),
+  });
+};
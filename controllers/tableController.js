@@ -0,0 +1,413 @@
+import 'express-async-errors';
+import QRCode from 'qrcode';
+import prisma from '../lib/prisma.js';
+import { StatusCodes } from 'http-status-codes';
+import { ConflictError, NotFoundError } from '../errors/customError.js';
+import {
+  createTableToken,
+  tableOrderUrl,
+  verifyTableToken,
+} from '../utils/tableQr.js';
+
+const assertUniqueTable = async (number, id) => {
+  const existing = await prisma.table.findFirst({
+    where: {
+      number,
+      NOT: id ? { id } : undefined,
+    },
+  });
+
+  if (existing) {
+    throw new ConflictError(`table ${number} already exists`);
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Table:
+ *       type: object
+ *       required:
+ *         - number
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the table
+ *         number:
+ *           type: integer
+ *           description: The number customers see on the table
+ *         area:
+ *           type: string
+ *           example: Terrace
+ *         capacity:
+ *           type: integer
+ *           description: Number of seats, 4 when omitted
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive tables do not accept orders
+ *         qrVersion:
+ *           type: integer
+ *           description: Bumped when the QR code is rotated
+ *       example:
+ *         id: 6680f1c2a1b2c3d4e5f60a00
+ *         number: 12
+ *         area: Terrace
+ *         capacity: 4
+ *         isActive: true
+ *         qrVersion: 1
+ */
+
+/**
+ * @swagger
+ * /api/table:
+ *   get:
+ *     summary: Returns the tables
+ *     tags: [Table]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The list of the tables
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Table'
+ */
+
+export const getTables = async (req, res) => {
+  const tables = await prisma.table.findMany({
+    orderBy: {
+      number: 'asc',
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: tables,
+  });
+};
+
+/**
+ * @swagger
+ * /api/table:
+ *   post:
+ *     summary: Create a new table
+ *     tags: [Table]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Table'
+ *     responses:
+ *       201:
+ *         description: The table was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Table'
+ *       409:
+ *         description: A table with the same number exists
+ */
+
+export const createTable = async (req, res) => {
+  const { number, area, capacity, isActive } = req.body;
+
+  await assertUniqueTable(number);
+
+  const table = await prisma.table.create({
+    data: {
+      number,
+      area,
+      capacity,
+      isActive,
+    },
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'Created',
+    statusCode: StatusCodes.CREATED,
+    msg: 'Successfully create table',
+    data: table,
+  });
+};
+
+/**
+ * @swagger
+ * /api/table/{id}:
+ *   patch:
+ *     summary: Update some fields of the table by id
+ *     description: Renumbering a table keeps its QR code valid, since the code refers to the table and not its number.
+ *     tags: [Table]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The table id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Table'
+ *     responses:
+ *       200:
+ *         description: The table was successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Table'
+ *       404:
+ *         description: Table not found
+ *       409:
+ *         description: A table with the same number exists
+ */
+
+export const updateTable = async (req, res) => {
+  const { id } = req.params;
+  const { number, area, capacity, isActive } = req.body;
+
+  if (number !== undefined) {
+    await assertUniqueTable(number, id);
+  }
+
+  const table = await prisma.table.update({
+    where: {
+      id,
+    },
+    data: {
+      number,
+      area,
+      capacity,
+      isActive,
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully update table',
+    data: table,
+  });
+};
+
+/**
+ * @swagger
+ * /api/table/{id}:
+ *   delete:
+ *     summary: Delete the table by id
+ *     description: Its printed QR code stops working. Past orders keep their table number.
+ *     tags: [Table]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The table id
+ *     responses:
+ *       202:
+ *         description: The table was successfully deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Table'
+ *       404:
+ *         description: Table not found
+ */
+
+export const deleteTable = async (req, res) => {
+  const { id } = req.params;
+
+  const table = await prisma.table.delete({
+    where: {
+      id,
+    },
+  });
+
+  res.status(StatusCodes.ACCEPTED).json({
+    status: 'Accepted',
+    statusCode: StatusCodes.ACCEPTED,
+    msg: 'Successfully delete table',
+    data: table,
+  });
+};
+
+/**
+ * @swagger
+ * /api/table/{id}/qr:
+ *   get:
+ *     summary: Returns the printable QR code of the table
+ *     description: The code opens the order page with the table filled in.
+ *     tags: [Table]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The table id
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, svg]
+ *           default: png
+ *     responses:
+ *       200:
+ *         description: The QR code image
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/svg+xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Table not found
+ */
+
+export const getTableQr = async (req, res) => {
+  const { id } = req.params;
+  const format = req.query.format ?? 'png';
+
+  const table = await prisma.table.findUnique({
+    where: {
+      id,
+    },
+  });
+  const url = tableOrderUrl(table);
+  const filename = `table-${table.number}.${format}`;
+
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+
+  if (format === 'svg') {
+    const svg = await QRCode.toString(url, { type: 'svg', margin: 2 });
+    return res.type('image/svg+xml').status(StatusCodes.OK).send(svg);
+  }
+
+  const png = await QRCode.toBuffer(url, {
+    type: 'png',
+    width: 512,
+    margin: 2,
+  });
+  res.type('image/png').status(StatusCodes.OK).send(png);
+};
+
+/**
+ * @swagger
+ * /api/table/{id}/qr/rotate:
+ *   post:
+ *     summary: Invalidate the printed QR code of the table
+ *     description: Use it when a code was copied or taken away. The table needs its new code printed.
+ *     tags: [Table]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The table id
+ *     responses:
+ *       200:
+ *         description: The table with its new QR version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Table'
+ *       404:
+ *         description: Table not found
+ */
+
+export const rotateTableQr = async (req, res) => {
+  const { id } = req.params;
+
+  const table = await prisma.table.update({
+    where: {
+      id,
+    },
+    data: {
+      qrVersion: { increment: 1 },
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully rotate table QR code',
+    data: {
+      ...table,
+      tableToken: createTableToken(table),
+      url: tableOrderUrl(table),
+    },
+  });
+};
+
+/**
+ * @swagger
+ * /api/table/resolve/{token}:
+ *   get:
+ *     summary: Returns the table a QR code belongs to
+ *     description: Lets the order page show and pre-fill the table before the order is sent with the same token.
+ *     tags: [Table]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The token from the QR code
+ *     responses:
+ *       200:
+ *         description: The table
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 number:
+ *                   type: integer
+ *                 area:
+ *                   type: string
+ *       404:
+ *         description: The code is invalid, outdated or its table is not in use
+ */
+
+export const resolveTableToken = async (req, res) => {
+  const verified = verifyTableToken(req.params.token);
+  const table =
+    verified &&
+    (await prisma.table.findUnique({ where: { id: verified.tableId } }));
+
+  if (!table || table.qrVersion !== verified.qrVersion || !table.isActive) {
+    throw new NotFoundError('no table for this code');
+  }
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: {
+      number: table.number,
+      area: table.area,
+    },
+  });
+};
@@ -2,8 +2,70 @@ import 'express-async-errors';
 import { nanoid } from 'nanoid';
 import prisma from '../lib/prisma.js';
 import { StatusCodes } from 'http-status-codes';
-import { PENDING } from '../utils/constants.js';
+import {
+  ACTOR_CUSTOMER,
+  ACTOR_STAFF,
+  ACTOR_SYSTEM,
+  CANCELED,
+  DELIVERY,
+  DINE_IN,
+  PENDING,
+  TAKEAWAY,
+} from '../utils/constants.js';
 import { reformTransaction } from '../utils/reformTransaction.js';
+import { changeTransactionStatus } from '../utils/orderStatus.js';
+import { BadRequestError, NotFoundError } from '../errors/customError.js';
+import {
+  buildOrderLines,
+  orderFees,
+  orderTotal,
+} from '../utils/orderPricing.js';
+import { findStockShortages, reserveStock } from '../utils/stock.js';
+import { getPaymentGateway } from '../lib/midtrans.js';
+import { invalidateMenu } from '../lib/cache.js';
+import {
+  PAYMENT_DEADLINE_MINUTES,
+  paymentDeadlineFrom,
+} from '../utils/paymentExpiry.js';
+import {
+  createTrackingToken,
+  hashTrackingToken,
+  reformTrackedOrder,
+} from '../utils/orderTracking.js';
+import {
+  ORDER_CREATED,
+  ORDER_ITEM_UPDATED,
+  publishOrderEvent,
+  publishStatusChange,
+} from '../utils/orderEvents.js';
+import {
+  changeItemPrepStatus,
+  retryOnWriteConflict,
+} from '../utils/prepStatus.js';
+import { findOrderTable } from '../utils/tableQr.js';
+import { applyPromotion, redeemPromotion } from '../utils/promotions.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SelectedModifier:
+ *       type: object
+ *       properties:
+ *         groupId:
+ *           type: string
+ *         groupName:
+ *           type: string
+ *           example: Size
+ *         optionId:
+ *           type: string
+ *         optionName:
+ *           type: string
+ *           example: Large
+ *         priceDelta:
+ *           type: number
+ *           example: 3
+ */
 
 /**
  * @swagger
@@ -23,7 +85,6 @@ import { reformTransaction } from '../utils/reformTransaction.js';
  *               - customerName
  *               - customerEmail
  *               - customerPhone
- *               - customerTableNumber
  *             properties:
  *               products:
  *                 type: array
@@ -38,7 +99,15 @@ import { reformTransaction } from '../utils/reformTransaction.js';
  *                       description: The product ID
  *                     quantity:
  *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 99
  *                       description: Quantity of the product
+ *                     modifiers:
+ *                       type: array
+ *                       description: Ids of the chosen modifier options
+ *                       items:
+ *                         type: string
+ *                       example: [size-large, oat-milk]
  *               customerName:
  *                 type: string
  *                 description: The name of the customer
@@ -48,9 +117,25 @@ import { reformTransaction } from '../utils/reformTransaction.js';
  *               customerPhone:
  *                 type: string
  *                 description: The phone number of the customer
+ *               orderType:
+ *                 type: string
+ *                 enum: [DINE_IN, TAKEAWAY, DELIVERY]
+ *                 default: DINE_IN
  *               customerTableNumber:
+ *                 type: integer
+ *                 description: The table number of the customer, required for dine-in without tableToken
+ *               tableToken:
+ *                 type: string
+ *                 description: The code from the table's QR, takes precedence over customerTableNumber
+ *               pickupAt:
  *                 type: string
- *                 description: The table number of the customer
+ *                 format: date-time
+ *                 description: When a takeaway order is picked up, required for takeaway and within the next 24 hours
+ *               deliveryAddress:
+ *                 $ref: '#/components/schemas/DeliveryAddress'
+ *               promoCode:
+ *                 type: string
+ *                 description: A promo code, checked as by /api/promo/validate
  *     responses:
  *       201:
  *         description: Successfully created transactions
@@ -86,9 +171,19 @@ import { reformTransaction } from '../utils/reformTransaction.js';
  *                     customerPhone:
  *                       type: string
  *                       description: The phone number of the customer
+ *                     orderType:
+ *                       type: string
+ *                       enum: [DINE_IN, TAKEAWAY, DELIVERY]
  *                     customerTableNumber:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: The table number of dine-in orders
+ *                     pickupAt:
  *                       type: string
- *                       description: The table number of the customer
+ *                       format: date-time
+ *                       nullable: true
+ *                     deliveryAddress:
+ *                       $ref: '#/components/schemas/DeliveryAddress'
  *                     products:
  *                       type: array
  *                       items:
@@ -102,42 +197,145 @@ import { reformTransaction } from '../utils/reformTransaction.js';
  *                             description: The name of the product
  *                           price:
  *                             type: number
- *                             description: The price of the product
+ *                             description: The unit price including modifiers
  *                           quantity:
  *                             type: integer
  *                             description: Quantity of the product
+ *                           modifiers:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/SelectedModifier'
+ *                     fees:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OrderFee'
+ *                     discounts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AppliedDiscount'
+ *                     total:
+ *                       type: integer
+ *                       description: The items plus the fees, minus the discounts
  *                     snapToken:
  *                       type: string
- *                       example: null
+ *                       description: Midtrans Snap token for the payment popup
  *                     snapRedirectUrl:
  *                       type: string
- *                       example: null
- *       404:
- *         description: Products not found
+ *                       description: Midtrans hosted payment page URL
+ *                     paymentDeadline:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Unpaid orders are canceled after this time
+ *                     trackingToken:
+ *                       type: string
+ *                       description: Secret for /api/order/track/{token}; only returned here
+ *       400:
+ *         description: The request, the table, the promo code or some of the order lines are invalid, or products are out of stock
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 status:
- *                   type: string
- *                   example: Not found
  *                 statusCode:
  *                   type: integer
- *                   example: 404
+ *                   example: 400
  *                 msg:
  *                   type: string
- *                   example: Products not found
+ *                   example: some order lines are invalid
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                         description: Position of the line in the products array, omitted for stock errors
+ *                         example: 1
+ *                       id:
+ *                         type: string
+ *                         description: The requested product ID
+ *                       msg:
+ *                         type: string
+ *                         example: product not found
+ *       429:
+ *         description: Too many orders from this client, retry after the RateLimit-Reset seconds
+ *       502:
+ *         description: Payment gateway could not issue a Snap token; the order is saved and canceled
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeliveryAddress:
+ *       type: object
+ *       description: Required for delivery orders
+ *       required:
+ *         - street
+ *       properties:
+ *         street:
+ *           type: string
+ *         city:
+ *           type: string
+ *         postalCode:
+ *           type: string
+ *         notes:
+ *           type: string
+ *           description: Directions for the driver
+ *     OrderFee:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [PACKAGING, DELIVERY]
+ *         name:
+ *           type: string
+ *         amount:
+ *           type: integer
+ *       example:
+ *         type: PACKAGING
+ *         name: Packaging fee
+ *         amount: 2000
+ */
+
+// Midtrans shows this on the payment page, e.g. "Latte (Large, Oat milk)".
+const itemName = ({ product, modifiers }) => {
+  if (modifiers.length === 0) return product.name;
+
+  const options = modifiers.map((modifier) => modifier.optionName);
+  return `${product.name} (${options.join(', ')})`;
+};
+
+// Only the known fields, so nothing else the client sent is stored.
+const deliveryAddressOf = ({ street, city, postalCode, notes }) => ({
+  street,
+  city,
+  postalCode,
+  notes,
+});
+
 export const createTransaction = async (req, res) => {
   const {
     products,
     customerName,
     customerEmail,
     customerPhone,
-    customerTableNumber,
+    orderType = DINE_IN,
+    tableToken,
+    promoCode,
   } = req.body;
+  const pickupAt = orderType === TAKEAWAY ? req.body.pickupAt : null;
+  const deliveryAddress =
+    orderType === DELIVERY ? deliveryAddressOf(req.body.deliveryAddress) : null;
+  let customerTableNumber = null;
+
+  if (orderType === DINE_IN) {
+    const table = await findOrderTable(prisma, {
+      tableToken,
+      tableNumber: req.body.customerTableNumber,
+    });
+    customerTableNumber = table.number;
+  }
 
   const productsFromDB = await prisma.product.findMany({
     where: {
@@ -145,56 +343,199 @@ export const createTransaction = async (req, res) => {
         in: products.map((product) => product.id),
       },
     },
+    include: {
+      category: true,
+    },
   });
 
-  if (productsFromDB.length === 0) {
-    return res.status(404).json({
-      statusCode: StatusCodes.NOT_FOUND,
-      status: 'Not found',
-      msg: 'Products not found',
-    });
+  const { lines, errors } = buildOrderLines(products, productsFromDB);
+
+  if (errors.length > 0) {
+    throw new BadRequestError('some order lines are invalid', errors);
   }
 
-  productsFromDB.forEach((product) => {
-    const productFromRequest = products.find(
-      (productFromRequest) => productFromRequest.id === product.id
-    );
+  const shortages = findStockShortages(lines);
 
-    product.quantity = productFromRequest.quantity;
-  });
+  if (shortages.length > 0) {
+    throw new BadRequestError('some products are out of stock', shortages);
+  }
 
   const transactionId = `TRX-${nanoid(4)}-${nanoid(8)}`;
-  const gross_amount = productsFromDB.reduce(
-    (acc, product) => acc + product.quantity * product.price,
-    0
+  const fees = orderFees(orderType);
+  const promo =
+    promoCode === undefined
+      ? null
+      : await applyPromotion(prisma, {
+          code: promoCode,
+          lines,
+          customerEmail,
+        });
+  const discounts = promo ? [promo.discount] : [];
+  const gross_amount = orderTotal(lines, fees, discounts);
+
+  if (!Number.isSafeInteger(gross_amount)) {
+    throw new BadRequestError('order total is too large');
+  }
+
+  // Midtrans cannot take a payment of nothing.
+  if (gross_amount < 1) {
+    throw new BadRequestError('order total after discounts must be above 0');
+  }
+
+  const tracking = createTrackingToken();
+
+  // The order is saved before Midtrans hears of it, so no payment can arrive
+  // for an order we do not have. Orders with the same promo code write the
+  // same promotion, so one of two concurrent ones is retried.
+  const soldOut = await retryOnWriteConflict(() =>
+    prisma.$transaction(async (tx) => {
+      await tx.transaction.create({
+        data: {
+          id: transactionId,
+          total: gross_amount,
+          status: PENDING,
+          customerName,
+          customerEmail,
+          customerPhone,
+          orderType,
+          customerTableNumber,
+          pickupAt,
+          deliveryAddress,
+          fees,
+          promoCode: promo?.promotion.code ?? null,
+          discounts,
+          // Provisional, so the order still expires if the token is never
+          // stored below.
+          paymentDeadline: paymentDeadlineFrom(new Date()),
+          trackingTokenHash: tracking.hash,
+          statusHistory: {
+            create: {
+              toStatus: PENDING,
+              actor: ACTOR_CUSTOMER,
+            },
+          },
+        },
+      });
+
+      await tx.transactionsItem.createMany({
+        data: lines.map((line) => ({
+          id: `TRX-ITEM-${nanoid(10)}`,
+          transactionId,
+          productId: line.product.id,
+          productName: line.product.name,
+          price: line.price,
+          quantity: line.quantity,
+          modifiers: line.modifiers,
+          stationId: line.product.stationId ?? null,
+        })),
+      });
+
+      const availabilityChanged = await reserveStock(tx, {
+        transactionId,
+        lines,
+      });
+
+      if (promo) {
+        await redeemPromotion(tx, {
+          ...promo,
+          transactionId,
+          customerEmail,
+        });
+      }
+
+      return availabilityChanged;
+    })
   );
 
-  await prisma.transaction.create({
-    data: {
+  if (soldOut) await invalidateMenu();
+
+  let snap;
+
+  try {
+    snap = await getPaymentGateway().createTransaction({
+      transaction_details: {
+        order_id: transactionId,
+        gross_amount,
+      },
+      item_details: lines
+        .map((line) => ({
+          id: line.product.id,
+          price: line.price,
+          quantity: line.quantity,
+          name: itemName(line).slice(0, 50),
+        }))
+        .concat(
+          fees.map((fee) => ({
+            id: fee.type,
+            price: fee.amount,
+            quantity: 1,
+            name: fee.name,
+          })),
+          discounts.map((discount) => ({
+            id: `PROMO-${discount.code}`,
+            price: -discount.amount,
+            quantity: 1,
+            name: `Promo ${discount.code}`.slice(0, 50),
+          }))
+        ),
+      customer_details: {
+        first_name: customerName,
+        email: customerEmail,
+        phone: customerPhone,
+        ...(deliveryAddress && {
+          shipping_address: {
+            first_name: customerName,
+            phone: customerPhone,
+            address: deliveryAddress.street,
+            city: deliveryAddress.city,
+            postal_code: deliveryAddress.postalCode,
+          },
+        }),
+      },
+      expiry: {
+        unit: 'minute',
+        duration: PAYMENT_DEADLINE_MINUTES,
+      },
+    });
+  } catch (error) {
+    // Gives the reserved stock back. If this fails too, the expiry sweeper
+    // cancels the order at its provisional deadline.
+    await prisma
+      .$transaction((tx) =>
+        changeTransactionStatus(tx, {
+          id: transactionId,
+          status: CANCELED,
+          actor: ACTOR_SYSTEM,
+          note: 'payment gateway could not issue a token',
+        })
+      )
+      .then((canceled) => canceled.availabilityChanged && invalidateMenu())
+      .catch((cancelError) => {
+        console.log(
+          `failed to cancel transaction ${transactionId}: ${cancelError.message}`
+        );
+      });
+    throw error;
+  }
+
+  // Counted from after the token was issued, so Midtrans stops accepting the
+  // payment before the order is expired here.
+  const paymentDeadline = paymentDeadlineFrom(new Date());
+
+  await prisma.transaction.update({
+    where: {
       id: transactionId,
-      total: gross_amount,
-      status: PENDING,
-      customerName,
-      customerEmail,
-      customerPhone,
-      customerTableNumber,
-      snapToken: null,
-      snapRedirectUrl: null,
+    },
+    data: {
+      snapToken: snap.token,
+      snapRedirectUrl: snap.redirectUrl,
+      paymentDeadline,
     },
   });
 
-  await prisma.transactionsItem.createMany({
-    data: productsFromDB.map((product) => ({
-      id: `TRX-ITEM-${nanoid(10)}`,
-      transactionId,
-      productId: product.id,
-      productName: product.name,
-      price: product.price,
-      quantity: product.quantity,
-    })),
-  });
+  await publishOrderEvent(ORDER_CREATED, transactionId);
 
-  res.json({
+  res.status(StatusCodes.CREATED).json({
     status: 'Created',
     statusCode: StatusCodes.CREATED,
     msg: 'Successfully created transactions',
@@ -204,10 +545,25 @@ export const createTransaction = async (req, res) => {
       customerName,
       customerEmail,
       customerPhone,
+      orderType,
       customerTableNumber,
-      products: productsFromDB,
-      snapToken: null,
-      snapRedirectUrl: null,
+      pickupAt,
+      deliveryAddress,
+      products: lines.map((line) => ({
+        id: line.product.id,
+        name: line.product.name,
+        price: line.price,
+        quantity: line.quantity,
+        image: line.product.image,
+        modifiers: line.modifiers,
+      })),
+      fees,
+      discounts,
+      total: gross_amount,
+      snapToken: snap.token,
+      snapRedirectUrl: snap.redirectUrl,
+      paymentDeadline,
+      trackingToken: tracking.token,
     },
   });
 };
@@ -219,12 +575,20 @@ export const createTransaction = async (req, res) => {
  *     summary: Retrieve a list of transactions
  *     tags:
  *       - Transactions
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *         description: Filter transactions by status (e.g., PENDING, COMPLETED)
+ *         description: Filter transactions by status (e.g., PENDING, PAID, READY)
+ *       - in: query
+ *         name: orderType
+ *         schema:
+ *           type: string
+ *           enum: [DINE_IN, TAKEAWAY, DELIVERY]
+ *         description: Filter transactions by order type
  *     responses:
  *       200:
  *         description: A list of transactions
@@ -266,9 +630,30 @@ export const createTransaction = async (req, res) => {
  *                       customerPhone:
  *                         type: string
  *                         description: The phone number of the customer
+ *                       orderType:
+ *                         type: string
+ *                         enum: [DINE_IN, TAKEAWAY, DELIVERY]
  *                       customerTableNumber:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: The table number of dine-in orders
+ *                       pickupAt:
  *                         type: string
- *                         description: The table number of the customer
+ *                         format: date-time
+ *                         nullable: true
+ *                       deliveryAddress:
+ *                         $ref: '#/components/schemas/DeliveryAddress'
+ *                       fees:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/OrderFee'
+ *                       promoCode:
+ *                         type: string
+ *                         nullable: true
+ *                       discounts:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/AppliedDiscount'
  *                       transactionsItems:
  *                         type: array
  *                         items:
@@ -302,19 +687,25 @@ export const createTransaction = async (req, res) => {
  *                                   type: string
  *                                   description: The image URL of the product
  *                                 category:
- *                                   type: string
+ *                                   type: object
  *                                   description: The category of the product
+ *       401:
+ *         description: Authentication invalid
+ *       403:
+ *         description: Not authorized to access this route
  */
 
 export const getTransactions = async (req, res) => {
-  const { status } = req.query;
+  const { status, orderType } = req.query;
 
-  let where = {};
+  const where = {};
 
   if (status) {
-    where = {
-      status,
-    };
+    where.status = status;
+  }
+
+  if (orderType) {
+    where.orderType = orderType;
   }
 
   const transactions = await prisma.transaction.findMany({
@@ -351,6 +742,8 @@ export const getTransactions = async (req, res) => {
  *     summary: Retrieve a transaction by its ID
  *     tags:
  *       - Transactions
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -397,9 +790,30 @@ export const getTransactions = async (req, res) => {
  *                     customerPhone:
  *                       type: string
  *                       description: The phone number of the customer
+ *                     orderType:
+ *                       type: string
+ *                       enum: [DINE_IN, TAKEAWAY, DELIVERY]
  *                     customerTableNumber:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: The table number of dine-in orders
+ *                     pickupAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     deliveryAddress:
+ *                       $ref: '#/components/schemas/DeliveryAddress'
+ *                     fees:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OrderFee'
+ *                     promoCode:
  *                       type: string
- *                       description: The table number of the customer
+ *                       nullable: true
+ *                     discounts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AppliedDiscount'
  *                     transactionsItems:
  *                       type: array
  *                       items:
@@ -433,8 +847,34 @@ export const getTransactions = async (req, res) => {
  *                                 type: string
  *                                 description: The image URL of the product
  *                               category:
- *                                 type: string
+ *                                 type: object
  *                                 description: The category of the product
+ *                     statusHistory:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           fromStatus:
+ *                             type: string
+ *                             example: PAID
+ *                           toStatus:
+ *                             type: string
+ *                             example: PREPARING
+ *                           actor:
+ *                             type: string
+ *                             example: STAFF
+ *                           actorId:
+ *                             type: string
+ *                             description: The user who made the change, if any
+ *                           note:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Authentication invalid
+ *       403:
+ *         description: Not authorized to access this route
  *       404:
  *         description: Transaction not found
  *         content:
@@ -474,6 +914,11 @@ export const getTransactionById = async (req, res) => {
           },
         },
       },
+      statusHistory: {
+        orderBy: {
+          createdAt: 'asc',
+        },
+      },
     },
   });
 
@@ -500,6 +945,8 @@ export const getTransactionById = async (req, res) => {
  *     summary: Update the status of a transaction
  *     tags:
  *       - Transactions
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -518,8 +965,24 @@ export const getTransactionById = async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
- *                 description: The new status of the transaction
- *                 example: COMPLETED
+ *                 description: The new status of the transaction. Must be an allowed transition from the current status (PENDING → PAID → PREPARING → READY → SERVED → COMPLETED, plus CANCELED and REFUNDED).
+ *                 enum:
+ *                   - PENDING
+ *                   - PAID
+ *                   - PREPARING
+ *                   - READY
+ *                   - SERVED
+ *                   - COMPLETED
+ *                   - CANCELED
+ *                   - REFUNDED
+ *                 example: PREPARING
+ *               paymentMethod:
+ *                 type: string
+ *                 description: How the order was paid, when marking it PAID manually
+ *                 example: cash
+ *               note:
+ *                 type: string
+ *                 description: Optional reason stored in the status history
  *     responses:
  *       202:
  *         description: Successfully updated the transaction
@@ -552,6 +1015,12 @@ export const getTransactionById = async (req, res) => {
  *                     paymentMethod:
  *                       type: string
  *                       example: null
+ *       400:
+ *         description: Status transition is not allowed
+ *       401:
+ *         description: Authentication invalid
+ *       403:
+ *         description: Not authorized to access this route
  *       404:
  *         description: Transaction not found
  *         content:
@@ -572,30 +1041,244 @@ export const getTransactionById = async (req, res) => {
 
 export const updateTransactionStatus = async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, paymentMethod, note } = req.body;
 
-  const transaction = await prisma.transaction.update({
-    where: {
+  const transaction = await prisma.$transaction((tx) =>
+    changeTransactionStatus(tx, {
       id,
-    },
-    data: {
       status,
-      paymentMethod: null,
+      actor: ACTOR_STAFF,
+      actorId: req.user?.userId,
+      note,
+      data: paymentMethod ? { paymentMethod } : {},
+    })
+  );
+
+  if (transaction.availabilityChanged) await invalidateMenu();
+
+  await publishStatusChange(transaction);
+
+  res.status(StatusCodes.ACCEPTED).json({
+    status: 'Accepted',
+    statusCode: StatusCodes.ACCEPTED,
+    msg: 'Successfully update transaction',
+    data: {
+      id: transaction.id,
+      total: transaction.total,
+      status: transaction.status,
+      paymentMethod: transaction.paymentMethod,
+    },
+  });
+};
+
+/**
+ * @swagger
+ * /api/order/track/{token}:
+ *   get:
+ *     summary: Track an order with the link given to the customer
+ *     description: Public. Shows the progress of the order without the customer's name, email or phone.
+ *     tags:
+ *       - Transactions
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The trackingToken returned when the order was created
+ *     responses:
+ *       200:
+ *         description: The order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: PREPARING
+ *                 total:
+ *                   type: integer
+ *                 orderType:
+ *                   type: string
+ *                   enum: [DINE_IN, TAKEAWAY, DELIVERY]
+ *                 customerTableNumber:
+ *                   type: integer
+ *                   nullable: true
+ *                 pickupAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 orderedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 estimatedReadyAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Null until the order is paid
+ *                 paymentDeadline:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Only while PENDING
+ *                 snapRedirectUrl:
+ *                   type: string
+ *                   description: Only while PENDING, to resume the payment
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       price:
+ *                         type: number
+ *                       quantity:
+ *                         type: integer
+ *                       modifiers:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: [Large, Oat milk]
+ *                 fees:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderFee'
+ *                 discounts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AppliedDiscount'
+ *                 statusHistory:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       status:
+ *                         type: string
+ *                       at:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: No order with this tracking token
+ */
+
+export const trackOrder = async (req, res) => {
+  const transaction = await prisma.transaction.findFirst({
+    where: {
+      trackingTokenHash: hashTrackingToken(req.params.token),
+    },
+    include: {
+      transactionsItems: true,
+      statusHistory: {
+        orderBy: {
+          createdAt: 'asc',
+        },
+      },
     },
   });
 
   if (!transaction) {
-    return res.status(404).json({
-      statusCode: StatusCodes.NOT_FOUND,
-      status: 'Not found',
-      msg: 'Transaction not found',
-    });
+    throw new NotFoundError('order not found');
   }
 
-  res.json({
-    status: 'Accepted',
-    statusCode: StatusCodes.ACCEPTED,
-    msg: 'Successfully update transaction',
-    data: transaction,
+  res.set('Cache-Control', 'no-store');
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: reformTrackedOrder(transaction),
+  });
+};
+
+/**
+ * @swagger
+ * /api/transaction/{id}/items/{itemId}:
+ *   patch:
+ *     summary: Update the preparation status of one order item
+ *     description: Starting an item moves a PAID order to PREPARING; finishing the last item moves the order to READY.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transaction ID
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The order item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - prepStatus
+ *             properties:
+ *               prepStatus:
+ *                 type: string
+ *                 enum: [QUEUED, IN_PROGRESS, DONE]
+ *     responses:
+ *       200:
+ *         description: The item was updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     prepStatus:
+ *                       type: string
+ *                     transactionStatus:
+ *                       type: string
+ *                       description: The status of the order after the update
+ *       400:
+ *         description: The order is not being prepared or the status change is not allowed
+ *       404:
+ *         description: Item not found in this order
+ */
+
+export const updateItemPrepStatus = async (req, res) => {
+  const { id, itemId } = req.params;
+  const { prepStatus } = req.body;
+
+  const { item, transaction, changes } = await retryOnWriteConflict(() =>
+    prisma.$transaction((tx) =>
+      changeItemPrepStatus(tx, {
+        transactionId: id,
+        itemId,
+        prepStatus,
+        actorId: req.user.userId,
+      })
+    )
+  );
+
+  await publishOrderEvent(ORDER_ITEM_UPDATED, id, { itemId });
+  for (const change of changes) {
+    await publishStatusChange(change);
+  }
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully update item',
+    data: {
+      id: item.id,
+      prepStatus: item.prepStatus,
+      transactionStatus: transaction.status,
+    },
   });
 };
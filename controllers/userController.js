@@ -0,0 +1,331 @@
+import 'express-async-errors';
+import prisma from '../lib/prisma.js';
+import { StatusCodes } from 'http-status-codes';
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from '../errors/customError.js';
+import { hashPassword } from '../utils/passwordUtils.js';
+import { reformUser } from '../utils/reformUser.js';
+import { revokeUserSessions } from '../utils/sessions.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the user
+ *         name:
+ *           type: string
+ *         image:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         role:
+ *           type: string
+ *           enum:
+ *             - ADMIN
+ *             - STAFF
+ *             - USER
+ *         isActive:
+ *           type: boolean
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *       example:
+ *         id: 6680f1c2a1b2c3d4e5f60718
+ *         name: Rina
+ *         image: null
+ *         email: rina@example.com
+ *         role: STAFF
+ *         isActive: true
+ */
+
+const findUserOrThrow = async (id) => {
+  const user = await prisma.user.findUnique({
+    where: {
+      id,
+    },
+  });
+
+  if (!user) {
+    throw new NotFoundError(`no user with id ${id}`);
+  }
+
+  return user;
+};
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List all user accounts
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter users by role (ADMIN, STAFF, USER)
+ *     responses:
+ *       200:
+ *         description: The list of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Unknown role
+ *       401:
+ *         description: Authentication invalid
+ *       403:
+ *         description: Not authorized to access this route
+ */
+
+export const getUsers = async (req, res) => {
+  const { role } = req.query;
+
+  const users = await prisma.user.findMany({
+    where: role ? { role } : {},
+    orderBy: {
+      createdAt: 'desc',
+    },
+  });
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'SUCCESS',
+    data: users.map((user) => reformUser(user)),
+  });
+};
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Create a staff or admin account
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - password
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Rina
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: rina@example.com
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               role:
+ *                 type: string
+ *                 enum:
+ *                   - ADMIN
+ *                   - STAFF
+ *                   - USER
+ *                 example: STAFF
+ *     responses:
+ *       201:
+ *         description: The user was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Bad request
+ *       409:
+ *         description: Email already exists
+ */
+
+export const createUser = async (req, res) => {
+  const { name, email, password, role } = req.body;
+
+  const userExisting = await prisma.user.findUnique({
+    where: {
+      email,
+    },
+  });
+
+  if (userExisting) {
+    throw new ConflictError('Email already exists');
+  }
+
+  const user = await prisma.user.create({
+    data: {
+      name,
+      email,
+      password: await hashPassword(password),
+      role,
+    },
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    status: 'Created',
+    statusCode: StatusCodes.CREATED,
+    msg: 'Successfully create user',
+    data: reformUser(user),
+  });
+};
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   patch:
+ *     summary: Change a user's role or deactivate/reactivate the account
+ *     description: Either change signs the user out of every device.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum:
+ *                   - ADMIN
+ *                   - STAFF
+ *                   - USER
+ *               isActive:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: The user was successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Admins cannot change their own role or status
+ *       404:
+ *         description: User not found
+ */
+
+export const updateUser = async (req, res) => {
+  const { id } = req.params;
+  const { role, isActive } = req.body;
+
+  if (id === req.user.userId) {
+    throw new BadRequestError('you cannot change your own role or status');
+  }
+
+  await findUserOrThrow(id);
+
+  const user = await prisma.user.update({
+    where: {
+      id,
+    },
+    data: {
+      role,
+      isActive,
+    },
+  });
+
+  // Access tokens carry the role, so the user has to sign in again.
+  await revokeUserSessions(id);
+
+  res.status(StatusCodes.OK).json({
+    status: 'OK',
+    statusCode: StatusCodes.OK,
+    msg: 'Successfully update user',
+    data: reformUser(user),
+  });
+};
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Delete a user account
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user id
+ *     responses:
+ *       202:
+ *         description: The user was successfully deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Admins cannot delete their own account
+ *       404:
+ *         description: User not found
+ */
+
+export const deleteUser = async (req, res) => {
+  const { id } = req.params;
+
+  if (id === req.user.userId) {
+    throw new BadRequestError('you cannot delete your own account');
+  }
+
+  await findUserOrThrow(id);
+
+  const [, , user] = await prisma.$transaction([
+    prisma.session.deleteMany({
+      where: {
+        userId: id,
+      },
+    }),
+    prisma.userToken.deleteMany({
+      where: {
+        userId: id,
+      },
+    }),
+    prisma.user.delete({
+      where: {
+        id,
+      },
+    }),
+  ]);
+
+  res.status(StatusCodes.ACCEPTED).json({
+    status: 'Accepted',
+    statusCode: StatusCodes.ACCEPTED,
+    msg: 'Successfully delete user',
+    data: reformUser(user),
+  });
+};
@@ -9,10 +9,11 @@ export class NotFoundError extends Error {
 }
 
 export class BadRequestError extends Error {
-  constructor(message) {
+  constructor(message, errors) {
     super(message);
     this.name = 'BadRequestError';
     this.statusCode = StatusCodes.BAD_REQUEST;
+    this.errors = errors;
   }
 }
 export class UnauthenticatedError extends Error {
@@ -38,3 +39,27 @@ export class InternalServerError extends Error {
     this.statusCode = StatusCodes.INTERNAL_SERVER_ERROR;
   }
 }
+
+export class BadGatewayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BadGatewayError';
+    this.statusCode = StatusCodes.BAD_GATEWAY;
+  }
+}
+
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.statusCode = StatusCodes.CONFLICT;
+  }
+}
+
+export class TooManyRequestsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TooManyRequestsError';
+    this.statusCode = StatusCodes.TOO_MANY_REQUESTS;
+  }
+}
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import * as dotenv from 'dotenv';
+import redis from './redis.js';
+
+dotenv.config();
+
+export const MENU_CACHE_TTL_SECONDS =
+  Number(process.env.MENU_CACHE_TTL_SECONDS) || 60;
+
+// Every menu entry is stored under the current version, so bumping the
+// version invalidates all of them at once without scanning for keys.
+const MENU_VERSION_KEY = 'menu:version';
+
+const etagOf = (body) =>
+  `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+
+// Commands sent while Redis is reconnecting would wait for it, so the cache
+// is skipped entirely until the connection is back.
+const isReady = () => redis?.status === 'ready';
+
+const readEntry = async (key) => {
+  const version = (await redis.get(MENU_VERSION_KEY)) ?? 0;
+  const cacheKey = `menu:${version}:${key}`;
+
+  return { cacheKey, hit: await redis.get(cacheKey) };
+};
+
+/**
+ * Returns the cached `{ body, etag }` of a customer menu response, calling
+ * `load` for the body on a miss. Falls back to `load` when Redis is down.
+ */
+export const cacheMenu = async (key, load) => {
+  let cacheKey = null;
+
+  if (isReady()) {
+    try {
+      const entry = await readEntry(key);
+      if (entry.hit) return JSON.parse(entry.hit);
+      cacheKey = entry.cacheKey;
+    } catch (error) {
+      console.log(`menu cache: ${error.message}`);
+    }
+  }
+
+  const body = await load();
+  const entry = { body, etag: etagOf(body) };
+
+  if (cacheKey) {
+    await redis
+      .set(cacheKey, JSON.stringify(entry), 'EX', MENU_CACHE_TTL_SECONDS)
+      .catch((error) => console.log(`menu cache: ${error.message}`));
+  }
+
+  return entry;
+};
+
+// Called after anything that changes what customers see on the menu. If
+// Redis is down the old entries expire after the TTL.
+export const invalidateMenu = async () => {
+  if (!isReady()) return;
+
+  await redis
+    .incr(MENU_VERSION_KEY)
+    .catch((error) => console.log(`menu cache: ${error.message}`));
+};
@@ -0,0 +1,53 @@
+import { EventEmitter } from 'events';
+import redis from './redis.js';
+
+const CHANNEL = 'events';
+
+// Local listeners, e.g. open kitchen streams. With Redis every instance
+// publishes to the channel and delivers what it receives from it, so
+// listeners see events from all instances.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let subscriber = null;
+
+// The subscriber needs its own connection, since a subscribed client cannot
+// run other commands. It is opened by the first listener.
+const ensureSubscriber = () => {
+  if (!redis || subscriber) return;
+
+  subscriber = redis.duplicate();
+  subscriber.on('error', (error) => {
+    console.log(`redis subscriber: ${error.message}`);
+  });
+  subscriber.on('message', (channel, message) => {
+    emitter.emit('event', JSON.parse(message));
+  });
+  subscriber.subscribe(CHANNEL).catch((error) => {
+    console.log(`redis subscribe: ${error.message}`);
+  });
+};
+
+const isSubscribed = () => subscriber?.status === 'ready';
+
+export const publishEvent = async (event) => {
+  if (redis?.status === 'ready') {
+    try {
+      await redis.publish(CHANNEL, JSON.stringify(event));
+      // Our own subscriber delivers it locally, unless it is not connected.
+      if (isSubscribed()) return;
+    } catch (error) {
+      console.log(`redis publish: ${error.message}`);
+    }
+  }
+
+  emitter.emit('event', JSON.parse(JSON.stringify(event)));
+};
+
+// Returns the function that removes the listener.
+export const subscribeEvents = (listener) => {
+  ensureSubscriber();
+  emitter.on('event', listener);
+
+  return () => emitter.off('event', listener);
+};
@@ -0,0 +1,82 @@
+import fs from 'fs/promises';
+import path from 'path';
+import * as dotenv from 'dotenv';
+import nodemailer from 'nodemailer';
+
+dotenv.config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Cafe <no-reply@localhost>';
+
+export const createSmtpMailer = ({ host, port, secure, user, pass }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    send: (message) => transport.sendMail({ from: MAIL_FROM, ...message }),
+  };
+};
+
+// Writes each message as JSON, so local setups and tests can read the
+// links that would have been emailed.
+export const createFileMailer = ({ dir }) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${message.to}.json`);
+    await fs.writeFile(
+      file,
+      JSON.stringify({ from: MAIL_FROM, ...message }, null, 2)
+    );
+  },
+});
+
+export const createConsoleMailer = () => ({
+  send: async (message) => {
+    console.log(`mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+});
+
+// Used in production when MAIL_DRIVER is not set, so password reset links
+// never end up in the server logs.
+const createUnconfiguredMailer = () => ({
+  send: async () => {
+    throw new Error('mail is not configured, set MAIL_DRIVER');
+  },
+});
+
+// MAIL_DRIVER is smtp, file or console. Without it mail goes to the console
+// outside production and is refused in production.
+const createMailer = () => {
+  switch (process.env.MAIL_DRIVER) {
+    case 'smtp':
+      return createSmtpMailer({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      });
+    case 'file':
+      return createFileMailer({ dir: process.env.MAIL_FILE_DIR || 'mail' });
+    case 'console':
+      return createConsoleMailer();
+    default:
+      return process.env.NODE_ENV === 'production'
+        ? createUnconfiguredMailer()
+        : createConsoleMailer();
+  }
+};
+
+let mailer = createMailer();
+
+export const getMailer = () => mailer;
+
+// Swap the mail driver, e.g. for a stub in local tests.
+export const setMailer = (driver) => {
+  mailer = driver;
+};
+
+export const sendMail = (message) => mailer.send(message);
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import * as dotenv from 'dotenv';
+import { BadGatewayError } from '../errors/customError.js';
+
+dotenv.config();
+
+const MIDTRANS_SNAP_URL =
+  process.env.MIDTRANS_SNAP_URL ||
+  'https://app.sandbox.midtrans.com/snap/v1/transactions';
+
+export const createSnapClient = ({ url, serverKey }) => {
+  const authorization = `Basic ${Buffer.from(`${serverKey}:`).toString(
+    'base64'
+  )}`;
+
+  return {
+    createTransaction: async (payload) => {
+      let response;
+
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            Accept: 'application/json',
+            'Content-Type': 'application/json',
+            Authorization: authorization,
+          },
+          body: JSON.stringify(payload),
+        });
+      } catch (error) {
+        throw new BadGatewayError('payment gateway is unreachable');
+      }
+
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok || !body.token) {
+        const reason = body.error_messages?.join(', ') || response.statusText;
+        throw new BadGatewayError(`payment gateway error: ${reason}`);
+      }
+
+      return { token: body.token, redirectUrl: body.redirect_url };
+    },
+  };
+};
+
+let paymentGateway = createSnapClient({
+  url: MIDTRANS_SNAP_URL,
+  serverKey: process.env.MIDTRANS_SERVER_KEY,
+});
+
+export const getPaymentGateway = () => paymentGateway;
+
+// Swap the gateway client, e.g. for a stub in local tests.
+export const setPaymentGateway = (gateway) => {
+  paymentGateway = gateway;
+};
+
+// Midtrans signs notifications with
+// SHA512(order_id + status_code + gross_amount + server key).
+export const verifyNotificationSignature = ({
+  order_id,
+  status_code,
+  gross_amount,
+  signature_key,
+}) => {
+  const serverKey = process.env.MIDTRANS_SERVER_KEY;
+
+  // Without a key anyone could compute the signature, so nothing is trusted.
+  if (!serverKey) return false;
+
+  const expected = crypto
+    .createHash('sha512')
+    .update(`${order_id}${status_code}${gross_amount}${serverKey}`)
+    .digest('hex');
+
+  const received = Buffer.from(String(signature_key), 'utf8');
+
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, Buffer.from(expected, 'utf8'))
+  );
+};
@@ -0,0 +1,28 @@
+import Redis from 'ioredis';
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+const createRedisClient = (url) => {
+  const client = new Redis(url, {
+    // Fail commands quickly while Redis is down instead of queueing them, so
+    // callers can fall back.
+    maxRetriesPerRequest: 1,
+  });
+
+  client.on('error', (error) => {
+    console.log(`redis: ${error.message}`);
+  });
+
+  return client;
+};
+
+// Redis is optional: without REDIS_URL the features that use it fall back to
+// a single-instance behaviour.
+const redis = process.env.REDIS_URL
+  ? (globalThis.redis ?? createRedisClient(process.env.REDIS_URL))
+  : null;
+
+export default redis;
+
+if (redis && process.env.NODE_ENV !== 'production') globalThis.redis = redis;
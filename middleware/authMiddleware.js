@@ -1,21 +1,103 @@
-import { UnauthenticatedError } from '../errors/customError.js';
+import crypto from 'crypto';
+import {
+  UnauthenticatedError,
+  UnauthorizedError,
+} from '../errors/customError.js';
 import { verifyJWT } from '../utils/tokenUtils.js';
+import { findActiveSession } from '../utils/sessions.js';
+import { ACCESS_TOKEN_COOKIE } from '../utils/authCookies.js';
 
-export const authenticateUser = async (req, res, next) => {
-  const tokenHeader = req.header('Authorization');
-  const tokenBearer = tokenHeader?.replace('Bearer ', '');
+// Bearer header first, then the httpOnly cookie set by a cookie login.
+const accessTokenOf = (req) =>
+  req.header('Authorization')?.replace('Bearer ', '') ||
+  req.cookies?.[ACCESS_TOKEN_COOKIE];
+
+// Resolves to the signed-in user, or null when the token is invalid, expired
+// or belongs to a session that was logged out.
+const userFromToken = async (token) => {
+  let payload;
+
+  try {
+    payload = verifyJWT(token);
+  } catch (error) {
+    return null;
+  }
+
+  const { userId, role, sessionId } = payload;
+
+  if (!sessionId || !(await findActiveSession(sessionId))) {
+    return null;
+  }
 
-  const token = tokenBearer;
+  return { userId, role, sessionId };
+};
+
+export const authenticateUser = async (req, res, next) => {
+  const token = accessTokenOf(req);
 
   if (!token) {
     throw new UnauthenticatedError('authentication invalid');
   }
 
-  try {
-    const { userId, role } = verifyJWT(token);
-    req.user = { userId, role };
+  const user = await userFromToken(token);
+
+  if (!user) {
+    throw new UnauthenticatedError('authentication invalid');
+  }
+
+  req.user = user;
+  next();
+};
+
+// EventSource cannot send an Authorization header, so streams also accept
+// the access token as `?token=`. Prefer the cookie where possible, since
+// URLs end up in logs.
+export const authenticateStream = async (req, res, next) => {
+  const token = accessTokenOf(req) || req.query.token;
+  const user = token && (await userFromToken(token));
+
+  if (!user) {
+    throw new UnauthenticatedError('authentication invalid');
+  }
+
+  req.user = user;
+  next();
+};
+
+// For public routes that show more to signed-in staff; never rejects.
+export const optionalAuthenticateUser = async (req, res, next) => {
+  const token = accessTokenOf(req);
+
+  if (token) {
+    req.user = (await userFromToken(token)) ?? undefined;
+  }
+
+  next();
+};
+
+export const authorizeRoles = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      throw new UnauthorizedError('not authorized to access this route');
+    }
     next();
-  } catch (error) {
+  };
+};
+
+// Scheduled jobs, e.g. Vercel Cron, send `Authorization: Bearer <CRON_SECRET>`.
+// Without CRON_SECRET the job routes are closed.
+export const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.header('Authorization') ?? '');
+
+  if (
+    !secret ||
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
     throw new UnauthenticatedError('authentication invalid');
   }
+
+  next();
 };
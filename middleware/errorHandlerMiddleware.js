@@ -5,7 +5,7 @@ const errorHandlerMiddleware = (err, req, res, next) => {
   const statusCode = err.statusCode || StatusCodes.INTERNAL_SERVER_ERROR;
   const msg = err.message || 'Something went wrong, try again later';
 
-  res.status(statusCode).json({ statusCode, msg });
+  res.status(statusCode).json({ statusCode, msg, errors: err.errors });
 };
 
 export default errorHandlerMiddleware;
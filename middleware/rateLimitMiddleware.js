@@ -0,0 +1,177 @@
+import { nanoid } from 'nanoid';
+import * as dotenv from 'dotenv';
+import redis from '../lib/redis.js';
+import { TooManyRequestsError } from '../errors/customError.js';
+
+dotenv.config();
+
+// Sliding window log: one sorted-set member per allowed request, scored by
+// its time. Requests over the limit are not recorded, so a client that keeps
+// retrying gets through again once its oldest request leaves the window.
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+return { allowed, count, tonumber(oldest[2]) }
+`;
+
+const redisHit = async (key, limit, windowMs, now) => {
+  const [allowed, count, oldest] = await redis.eval(
+    SLIDING_WINDOW_SCRIPT,
+    1,
+    key,
+    now,
+    windowMs,
+    limit,
+    `${now}:${nanoid(6)}`
+  );
+
+  return { allowed: allowed === 1, count, resetAt: oldest + windowMs };
+};
+
+// Used when Redis is not configured or down. Limits are then per instance.
+const memory = new Map();
+const MEMORY_MAX_KEYS = 10000;
+
+const memoryHit = (key, limit, windowMs, now) => {
+  if (memory.size > MEMORY_MAX_KEYS) {
+    memory.forEach((hits, hitKey) => {
+      if (hits[hits.length - 1] <= now - windowMs) memory.delete(hitKey);
+    });
+  }
+
+  const hits = (memory.get(key) ?? []).filter((time) => time > now - windowMs);
+  const allowed = hits.length < limit;
+  if (allowed) hits.push(now);
+  memory.set(key, hits);
+
+  return { allowed, count: hits.length, resetAt: hits[0] + windowMs };
+};
+
+const hit = async (key, limit, windowMs) => {
+  const now = Date.now();
+
+  if (redis?.status === 'ready') {
+    try {
+      return await redisHit(key, limit, windowMs, now);
+    } catch (error) {
+      console.log(`rate limit: ${error.message}`);
+    }
+  }
+
+  return memoryHit(key, limit, windowMs, now);
+};
+
+/**
+ * Limits each client to `limit` requests per `windowSeconds` on the routes
+ * it is mounted on. Clients are told apart by `key`, by default the signed-in
+ * user or else the IP. `name` keeps the counters of different routes apart
+ * and selects the RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_SECONDS
+ * overrides.
+ */
+export const rateLimit = ({
+  name,
+  limit,
+  windowSeconds,
+  key = (req) => req.user?.userId ?? req.ip,
+}) => {
+  const envName = name.toUpperCase().replace(/-/g, '_');
+  const max = Number(process.env[`RATE_LIMIT_${envName}_MAX`]) || limit;
+  const windowMs =
+    (Number(process.env[`RATE_LIMIT_${envName}_WINDOW_SECONDS`]) ||
+      windowSeconds) * 1000;
+
+  return async (req, res, next) => {
+    const { allowed, count, resetAt } = await hit(
+      `ratelimit:${name}:${key(req)}`,
+      max,
+      windowMs
+    );
+    const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+
+    res.set({
+      'RateLimit-Limit': max,
+      'RateLimit-Remaining': Math.max(max - count, 0),
+      'RateLimit-Reset': resetSeconds,
+    });
+
+    if (!allowed) {
+      res.set('Retry-After', resetSeconds);
+      throw new TooManyRequestsError(
+        `too many requests, try again in ${resetSeconds} seconds`
+      );
+    }
+
+    next();
+  };
+};
+
+export const loginRateLimit = rateLimit({
+  name: 'login',
+  limit: 10,
+  windowSeconds: 15 * 60,
+  key: (req) => req.ip,
+});
+
+export const registerRateLimit = rateLimit({
+  name: 'register',
+  limit: 5,
+  windowSeconds: 60 * 60,
+  key: (req) => req.ip,
+});
+
+// Session refreshes and password changes, so refresh tokens and current
+// passwords cannot be guessed quickly.
+export const authRateLimit = rateLimit({
+  name: 'auth',
+  limit: 20,
+  windowSeconds: 15 * 60,
+});
+
+const customerEmailOf = (req) =>
+  String(req.body?.customerEmail ?? '')
+    .trim()
+    .toLowerCase();
+
+// Caps all guest orders from one IP, whatever emails they are placed with,
+// so changing the email does not get around `orderRateLimit`. Higher than
+// the per-email limit since guests at the same venue share the IP.
+export const orderIpRateLimit = rateLimit({
+  name: 'order-ip',
+  limit: 20,
+  windowSeconds: 60,
+});
+
+// Guests at the same table share the venue's IP, so they are also told
+// apart by the email they order with. Mount it after `orderIpRateLimit`.
+// Staff taking orders count per user.
+export const orderRateLimit = rateLimit({
+  name: 'order',
+  limit: 5,
+  windowSeconds: 60,
+  key: (req) => req.user?.userId ?? `${req.ip}:${customerEmailOf(req)}`,
+});
+
+// Keeps promo codes from being guessed by trying many of them.
+export const promoRateLimit = rateLimit({
+  name: 'promo',
+  limit: 10,
+  windowSeconds: 60,
+});
+
+// Every request that sends an email, so they cannot be used to spam inboxes.
+export const emailRateLimit = rateLimit({
+  name: 'email',
+  limit: 5,
+  windowSeconds: 60 * 60,
+});
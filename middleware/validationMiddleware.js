@@ -1,9 +1,32 @@
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import {
   BadRequestError,
   NotFoundError,
   UnauthorizedError,
 } from '../errors/customError.js';
+import prisma from '../lib/prisma.js';
+import { ORDER_STATUSES } from '../utils/orderStatus.js';
+import { PRODUCT_SORT_FIELDS } from '../utils/productQuery.js';
+import { ADJUST, RESTOCK } from '../utils/stock.js';
+import { INGREDIENT_UNITS } from '../utils/ingredients.js';
+import { IN_PROGRESS, PREP_STATUSES, QUEUED } from '../utils/prepStatus.js';
+import {
+  DELIVERY,
+  DINE_IN,
+  ORDER_TYPES,
+  ROLE_ADMIN,
+  ROLE_STAFF,
+  ROLE_USER,
+  TAKEAWAY,
+} from '../utils/constants.js';
+import { QR_FORMATS } from '../utils/tableQr.js';
+import { PROMOTION_TYPES } from '../utils/promotions.js';
+import { slugify } from '../utils/slugify.js';
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+// The message the id param validators use for a missing record.
+const NOT_FOUND = /^no \w+ with id /;
 
 const withValidationErrors = (validateValues) => {
   return [
@@ -12,7 +35,7 @@ const withValidationErrors = (validateValues) => {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         const errorMessages = errors.array().map((error) => error.msg);
-        if (errorMessages[0].startsWith('no products')) {
+        if (NOT_FOUND.test(errorMessages[0])) {
           throw new NotFoundError(errorMessages);
         }
         if (errorMessages[0].startsWith('not authorized')) {
@@ -25,39 +48,747 @@ const withValidationErrors = (validateValues) => {
   ];
 };
 
-export const validateProductInput = withValidationErrors([
-  body('name').notEmpty().withMessage('name is required'),
-  body('image').notEmpty().withMessage('image is required'),
-  body('category').notEmpty().withMessage('category is required'),
-  body('description').notEmpty().withMessage('description is required'),
-  body('price')
+const recipeRules = (path) => [
+  body(path).optional().isArray().withMessage('recipe must be an array'),
+  body(`${path}.*.ingredientId`)
+    .isMongoId()
+    .withMessage('invalid recipe ingredientId'),
+  body(`${path}.*.quantity`)
+    .isFloat({ gt: 0 })
+    .withMessage('recipe quantity must be greater than 0')
+    .toFloat(),
+];
+
+// One query for every ingredient used by the product and its modifiers.
+const recipeIngredientsExist = body().custom(async (value) => {
+  const recipes = [
+    ...(value.recipe ?? []),
+    ...(value.modifierGroups ?? []).flatMap((group) =>
+      (group.options ?? []).flatMap((option) => option.recipe ?? [])
+    ),
+  ];
+  const ids = [...new Set(recipes.map((item) => item.ingredientId))].filter(
+    (id) => OBJECT_ID.test(id)
+  );
+
+  if (ids.length === 0) return true;
+
+  const count = await prisma.ingredient.count({
+    where: { id: { in: ids } },
+  });
+  if (count !== ids.length) {
+    throw new Error('recipe uses an unknown ingredient');
+  }
+});
+
+const modifierGroupRules = [
+  body('modifierGroups')
+    .optional()
+    .isArray()
+    .withMessage('modifierGroups must be an array'),
+  body('modifierGroups.*.name')
     .notEmpty()
-    .withMessage('price is required')
-    .isFloat()
-    .withMessage('invalid price'),
+    .withMessage('modifier group name is required'),
+  body('modifierGroups.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('invalid modifier group required')
+    .toBoolean(),
+  body('modifierGroups.*.minSelect')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('invalid modifier group minSelect')
+    .toInt(),
+  body('modifierGroups.*.maxSelect')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('invalid modifier group maxSelect')
+    .toInt(),
+  body('modifierGroups.*.options')
+    .isArray({ min: 1 })
+    .withMessage('modifier group needs at least one option'),
+  body('modifierGroups.*.options.*.name')
+    .notEmpty()
+    .withMessage('modifier option name is required'),
+  body('modifierGroups.*.options.*.priceDelta')
+    .optional()
+    .isInt()
+    .withMessage('modifier option priceDelta must be a whole amount')
+    .toInt(),
+  body('modifierGroups.*.options.*.isAvailable')
+    .optional()
+    .isBoolean()
+    .withMessage('invalid modifier option isAvailable')
+    .toBoolean(),
+  ...recipeRules('modifierGroups.*.options.*.recipe'),
+  body('modifierGroups.*').custom((group) => {
+    const maxSelect = group.maxSelect ?? 1;
+    if ((group.minSelect ?? 0) > maxSelect) {
+      throw new Error(`${group.name} minSelect is greater than maxSelect`);
+    }
+    if (Array.isArray(group.options) && maxSelect > group.options.length) {
+      throw new Error(`${group.name} maxSelect is greater than its options`);
+    }
+    return true;
+  }),
+];
+
+// Shared by create and update; on update every field may be omitted but
+// must still be valid when present.
+const productRules = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').notEmpty().withMessage('name is required'),
+    field('image').notEmpty().withMessage('image is required'),
+    field('categoryId')
+      .notEmpty()
+      .withMessage('categoryId is required')
+      .custom(async (categoryId) => {
+        const category = OBJECT_ID.test(categoryId)
+          ? await prisma.category.findUnique({ where: { id: categoryId } })
+          : null;
+        if (!category) throw new Error('invalid categoryId');
+      }),
+    body('stationId')
+      .optional({ values: 'null' })
+      .custom(async (stationId) => {
+        const station = OBJECT_ID.test(stationId)
+          ? await prisma.station.findUnique({ where: { id: stationId } })
+          : null;
+        if (!station) throw new Error('invalid stationId');
+      }),
+    field('description').notEmpty().withMessage('description is required'),
+    field('price')
+      .notEmpty()
+      .withMessage('price is required')
+      .isInt()
+      .withMessage('price must be a whole amount')
+      .toInt(),
+    body('isAvailable')
+      .optional()
+      .isBoolean()
+      .withMessage('invalid isAvailable')
+      .toBoolean(),
+    ...modifierGroupRules,
+    ...recipeRules('recipe'),
+    recipeIngredientsExist,
+  ];
+};
+
+export const validateProductInput = withValidationErrors([
+  ...productRules(),
+  body('stock')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('stock must be a whole number of at least 0, or null')
+    .toInt(),
+]);
+
+export const validateUpdateProductInput = withValidationErrors(
+  productRules({ optional: true })
+);
+
+const paginationRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('invalid page')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+];
+
+export const validatePagination = withValidationErrors(paginationRules);
+
+export const validateProductQuery = withValidationErrors([
+  ...paginationRules,
+  query('minPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('invalid minPrice')
+    .toFloat(),
+  query('maxPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('invalid maxPrice')
+    .toFloat(),
+  query('sort')
+    .optional()
+    .isIn(PRODUCT_SORT_FIELDS)
+    .withMessage(`sort must be one of ${PRODUCT_SORT_FIELDS.join(', ')}`),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('order must be asc or desc'),
+  query('category').optional().isString().withMessage('invalid category'),
+  query('q').optional().isString().trim().withMessage('invalid search'),
+]);
+
+export const validateProductIdParam = withValidationErrors([
+  param('id').custom(async (id) => {
+    const product = OBJECT_ID.test(id)
+      ? await prisma.product.findUnique({ where: { id } })
+      : null;
+    if (!product || product.deletedAt) {
+      throw new Error(`no product with id ${id}`);
+    }
+  }),
+]);
+
+// For reads, which load the product themselves: a well-formed id is enough.
+export const validateProductIdFormat = withValidationErrors([
+  param('id')
+    .matches(OBJECT_ID)
+    .withMessage((id) => `no product with id ${id}`),
+]);
+
+export const validateStockAdjustment = withValidationErrors([
+  body('type')
+    .isIn([RESTOCK, ADJUST])
+    .withMessage(`type must be ${RESTOCK} or ${ADJUST}`),
+  body('quantity')
+    .if(body('type').equals(RESTOCK))
+    .isInt({ min: 1 })
+    .withMessage('restock quantity must be a whole number of at least 1')
+    .toInt(),
+  body('quantity')
+    .if(body('type').equals(ADJUST))
+    .isInt()
+    .withMessage('adjustment quantity must be a whole number')
+    .not()
+    .equals('0')
+    .withMessage('adjustment quantity cannot be 0')
+    .toInt(),
+  body('note').optional().isString().withMessage('invalid note'),
 ]);
 
+const ROLES = [ROLE_ADMIN, ROLE_STAFF, ROLE_USER];
+
 export const validateRegister = withValidationErrors([
   body('name').notEmpty().withMessage('name is required'),
   body('email').notEmpty().withMessage('email is required'),
   body('password').notEmpty().withMessage('password is required'),
   body('email').isEmail().withMessage('invalid email'),
+]);
+
+export const validateForgotPassword = withValidationErrors([
+  body('email').notEmpty().withMessage('email is required'),
+  body('email').isEmail().withMessage('invalid email'),
+]);
+
+export const validateResetPassword = withValidationErrors([
+  body('token').notEmpty().withMessage('token is required'),
+  body('password').notEmpty().withMessage('password is required'),
+]);
+
+export const validateVerifyEmail = withValidationErrors([
+  body('token').notEmpty().withMessage('token is required'),
+]);
+
+export const validateUpdateProfile = withValidationErrors([
+  body('name').optional().trim().notEmpty().withMessage('name cannot be empty'),
+  body('image')
+    .optional({ values: 'null' })
+    .isURL()
+    .withMessage('image must be a URL'),
+  body().custom((value) => {
+    if (value.name === undefined && value.image === undefined) {
+      throw new Error('name or image is required');
+    }
+    return true;
+  }),
+]);
+
+export const validateChangePassword = withValidationErrors([
+  body('currentPassword').notEmpty().withMessage('currentPassword is required'),
+  body('newPassword').notEmpty().withMessage('newPassword is required'),
+  body('newPassword')
+    .custom((newPassword, { req }) => newPassword !== req.body.currentPassword)
+    .withMessage('newPassword must differ from currentPassword'),
+]);
+
+export const validateUserInput = withValidationErrors([
+  body('name').notEmpty().withMessage('name is required'),
+  body('email').notEmpty().withMessage('email is required'),
+  body('password').notEmpty().withMessage('password is required'),
+  body('email').isEmail().withMessage('invalid email'),
   body('role').notEmpty().withMessage('role is required'),
-  body('role').isIn(['ADMIN', 'USER']).withMessage('invalid role'),
+  body('role').isIn(ROLES).withMessage('invalid role'),
+]);
+
+export const validateUpdateUser = withValidationErrors([
+  body('role').optional().isIn(ROLES).withMessage('invalid role'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('invalid isActive')
+    .toBoolean(),
+  body().custom((value) => {
+    if (value.role === undefined && value.isActive === undefined) {
+      throw new Error('role or isActive is required');
+    }
+    return true;
+  }),
+]);
+
+export const validateUserQuery = withValidationErrors([
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`role must be one of ${ROLES.join(', ')}`),
+]);
+
+export const validateUserIdParam = withValidationErrors([
+  param('id').isMongoId().withMessage('invalid user id'),
 ]);
 
 export const validateLogin = withValidationErrors([
   body('email').notEmpty().withMessage('email is required'),
   body('password').notEmpty().withMessage('password is required'),
   body('email').isEmail().withMessage('invalid email'),
+  body('useCookies')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('useCookies must be a boolean'),
 ]);
 
+// Orders without an orderType are dine-in, as they were before it existed.
+const isOrderType = (orderType) =>
+  body('orderType').custom((value = DINE_IN) => value === orderType);
+
+const MAX_PICKUP_AHEAD_MS = 24 * 60 * 60 * 1000;
+
+const DELIVERY_ADDRESS_FIELDS = ['street', 'city', 'postalCode', 'notes'];
+
+// The order lines, shared by orders and promo code previews.
+const orderLineRules = [
+  body('products')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('products must be a list of 1 to 50 items'),
+  body('products.*.id').isMongoId().withMessage('invalid product id'),
+  body('products.*.quantity')
+    .isInt({ min: 1, max: 99 })
+    .withMessage('quantity must be a whole number between 1 and 99')
+    .toInt(),
+  body('products.*.modifiers')
+    .optional()
+    .isArray()
+    .withMessage('modifiers must be an array of option ids'),
+  body('products.*.modifiers.*')
+    .isString()
+    .withMessage('modifiers must be an array of option ids'),
+  body('orderType')
+    .optional()
+    .isIn(ORDER_TYPES)
+    .withMessage(`orderType must be one of ${ORDER_TYPES.join(', ')}`),
+];
+
 export const validateTransaction = withValidationErrors([
-  body('products').notEmpty().withMessage('product is required'),
+  ...orderLineRules,
   body('customerName').notEmpty().withMessage('name is required'),
   body('customerEmail').notEmpty().withMessage('email is required'),
   body('customerPhone').notEmpty().withMessage('phone is required'),
+  body('promoCode').optional().isString().withMessage('invalid promo code'),
+  body('tableToken')
+    .if(isOrderType(DINE_IN))
+    .optional()
+    .isString()
+    .withMessage('invalid table code'),
   body('customerTableNumber')
+    .if(isOrderType(DINE_IN))
+    .if(body('tableToken').not().exists())
+    .notEmpty()
+    .withMessage('number table is required')
+    .bail()
+    .isInt({ min: 1 })
+    .withMessage('invalid table number')
+    .toInt(),
+  body('pickupAt')
+    .if(isOrderType(TAKEAWAY))
+    .notEmpty()
+    .withMessage('pickup time is required for takeaway')
+    .bail()
+    .isISO8601()
+    .withMessage('invalid pickup time')
+    .bail()
+    .custom((pickupAt) => {
+      const at = new Date(pickupAt).getTime();
+      return at > Date.now() && at <= Date.now() + MAX_PICKUP_AHEAD_MS;
+    })
+    .withMessage('pickup time must be within the next 24 hours')
+    .toDate(),
+  body('deliveryAddress')
+    .if(isOrderType(DELIVERY))
+    .optional()
+    .isObject()
+    .withMessage('invalid delivery address')
+    .bail()
+    .custom((address) => {
+      const unknown = Object.keys(address).filter(
+        (field) => !DELIVERY_ADDRESS_FIELDS.includes(field)
+      );
+
+      if (unknown.length > 0) {
+        throw new Error(
+          `unknown delivery address fields: ${unknown.join(', ')}`
+        );
+      }
+      return true;
+    }),
+  body('deliveryAddress.street')
+    .if(isOrderType(DELIVERY))
+    .notEmpty()
+    .withMessage('delivery address is required for delivery')
+    .bail()
+    .isString()
+    .withMessage('invalid delivery address street')
+    .trim()
+    .notEmpty()
+    .withMessage('delivery address is required for delivery'),
+  ...['city', 'postalCode', 'notes'].map((field) =>
+    body(`deliveryAddress.${field}`)
+      .if(isOrderType(DELIVERY))
+      .optional()
+      .isString()
+      .withMessage(`invalid delivery address ${field}`)
+      .trim()
+  ),
+]);
+
+export const validatePromoPreview = withValidationErrors([
+  ...orderLineRules,
+  body('code')
     .notEmpty()
-    .withMessage('number table is required'),
+    .withMessage('code is required')
+    .bail()
+    .isString()
+    .withMessage('invalid promo code'),
+  body('customerEmail')
+    .optional()
+    .isEmail()
+    .withMessage('invalid customerEmail'),
+]);
+
+export const validateTransactionQuery = withValidationErrors([
+  query('status')
+    .optional()
+    .isIn(ORDER_STATUSES)
+    .withMessage(`status must be one of ${ORDER_STATUSES.join(', ')}`),
+  query('orderType')
+    .optional()
+    .isIn(ORDER_TYPES)
+    .withMessage(`orderType must be one of ${ORDER_TYPES.join(', ')}`),
+]);
+
+export const validatePaymentNotification = withValidationErrors([
+  body('order_id').notEmpty().withMessage('order_id is required'),
+  body('status_code').notEmpty().withMessage('status_code is required'),
+  body('gross_amount').notEmpty().withMessage('gross_amount is required'),
+  body('signature_key').notEmpty().withMessage('signature_key is required'),
+  body('transaction_status')
+    .notEmpty()
+    .withMessage('transaction_status is required'),
+]);
+
+export const validateTransactionStatus = withValidationErrors([
+  body('status').notEmpty().withMessage('status is required'),
+  body('status').isIn(ORDER_STATUSES).withMessage('invalid status'),
+  body('paymentMethod')
+    .optional()
+    .isString()
+    .withMessage('invalid payment method'),
+  body('note').optional().isString().withMessage('invalid note'),
+]);
+
+// Without a slug one is made from the name, which needs a letter or digit
+// for that; "☕" would give an empty slug.
+const sluggableName = body('name')
+  .if(body('slug').not().exists())
+  .custom((name) => slugify(name) !== '')
+  .withMessage('name needs a letter or digit, or send a slug');
+
+const categoryRules = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').notEmpty().withMessage('name is required').trim(),
+    ...(optional ? [] : [sluggableName]),
+    body('slug')
+      .optional()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage(
+        'slug may only contain lowercase letters, digits and dashes'
+      ),
+    body('displayOrder')
+      .optional()
+      .isInt()
+      .withMessage('invalid displayOrder')
+      .toInt(),
+    body('icon').optional().isString().withMessage('invalid icon'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('invalid isActive')
+      .toBoolean(),
+  ];
+};
+
+export const validateCategoryInput = withValidationErrors(categoryRules());
+
+export const validateUpdateCategoryInput = withValidationErrors(
+  categoryRules({ optional: true })
+);
+
+export const validateCategoryIdParam = withValidationErrors([
+  param('id').custom(async (id) => {
+    const category = OBJECT_ID.test(id)
+      ? await prisma.category.findUnique({ where: { id } })
+      : null;
+    if (!category) throw new Error(`no category with id ${id}`);
+  }),
+]);
+
+const stationRules = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').notEmpty().withMessage('name is required').trim(),
+    ...(optional ? [] : [sluggableName]),
+    body('slug')
+      .optional()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage(
+        'slug may only contain lowercase letters, digits and dashes'
+      ),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('invalid isActive')
+      .toBoolean(),
+  ];
+};
+
+export const validateStationInput = withValidationErrors(stationRules());
+
+export const validateUpdateStationInput = withValidationErrors(
+  stationRules({ optional: true })
+);
+
+export const validateStationIdParam = withValidationErrors([
+  param('id').custom(async (id) => {
+    const station = OBJECT_ID.test(id)
+      ? await prisma.station.findUnique({ where: { id } })
+      : null;
+    if (!station) throw new Error(`no station with id ${id}`);
+  }),
+]);
+
+export const validateStationQueueQuery = withValidationErrors([
+  query('prepStatus')
+    .optional()
+    .isIn([QUEUED, IN_PROGRESS])
+    .withMessage(`prepStatus must be ${QUEUED} or ${IN_PROGRESS}`),
+]);
+
+export const validateItemPrepStatus = withValidationErrors([
+  body('prepStatus')
+    .isIn(PREP_STATUSES)
+    .withMessage(`prepStatus must be one of ${PREP_STATUSES.join(', ')}`),
+]);
+
+const tableRules = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('number')
+      .notEmpty()
+      .withMessage('number is required')
+      .bail()
+      .isInt({ min: 1 })
+      .withMessage('table number must be a whole number of at least 1')
+      .toInt(),
+    body('area').optional().isString().withMessage('invalid area').trim(),
+    body('capacity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('capacity must be a whole number of at least 1')
+      .toInt(),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('invalid isActive')
+      .toBoolean(),
+  ];
+};
+
+export const validateTableInput = withValidationErrors(tableRules());
+
+export const validateUpdateTableInput = withValidationErrors(
+  tableRules({ optional: true })
+);
+
+export const validateTableIdParam = withValidationErrors([
+  param('id').custom(async (id) => {
+    const table = OBJECT_ID.test(id)
+      ? await prisma.table.findUnique({ where: { id } })
+      : null;
+    if (!table) throw new Error(`no table with id ${id}`);
+  }),
+]);
+
+export const validateTableQrQuery = withValidationErrors([
+  query('format')
+    .optional()
+    .isIn(QR_FORMATS)
+    .withMessage(`format must be one of ${QR_FORMATS.join(', ')}`),
+]);
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Only the shape of each field; rules that depend on the type are checked on
+// the whole promotion by `promotionErrors`.
+const promotionRules = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  const nullable = (name) => body(name).optional({ values: 'null' });
+
+  return [
+    field('code')
+      .matches(/^[A-Za-z0-9_-]{3,32}$/)
+      .withMessage(
+        'code must be 3 to 32 letters, digits, dashes or underscores'
+      )
+      .toUpperCase(),
+    field('name').notEmpty().withMessage('name is required').trim(),
+    nullable('description').isString().withMessage('invalid description'),
+    field('type')
+      .isIn(PROMOTION_TYPES)
+      .withMessage(`type must be one of ${PROMOTION_TYPES.join(', ')}`),
+    nullable('value')
+      .isFloat({ gt: 0 })
+      .withMessage('value must be greater than 0')
+      .toFloat(),
+    ...[
+      'maxDiscount',
+      'buyQuantity',
+      'getQuantity',
+      'usageLimit',
+      'perCustomerLimit',
+    ].map((name) =>
+      nullable(name)
+        .isInt({ min: 1 })
+        .withMessage(`${name} must be a whole number of at least 1`)
+        .toInt()
+    ),
+    nullable('minSpend')
+      .isInt({ min: 0 })
+      .withMessage('minSpend must be a whole number of at least 0')
+      .toInt(),
+    ...['productIds', 'categoryIds'].map((name) =>
+      body(name)
+        .optional()
+        .isArray()
+        .withMessage(`${name} must be an array of ids`)
+    ),
+    body('productIds.*').isMongoId().withMessage('invalid product id'),
+    body('categoryIds.*').isMongoId().withMessage('invalid category id'),
+    ...['startsAt', 'endsAt'].map((name) =>
+      nullable(name).isISO8601().withMessage(`invalid ${name}`).toDate()
+    ),
+    body('schedule')
+      .optional()
+      .isArray()
+      .withMessage('schedule must be an array'),
+    body('schedule.*.days')
+      .optional()
+      .isArray()
+      .withMessage('schedule days must be an array'),
+    body('schedule.*.days.*')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('schedule days must be 0 (Sunday) to 6 (Saturday)')
+      .toInt(),
+    body(['schedule.*.startTime', 'schedule.*.endTime'])
+      .matches(TIME_OF_DAY)
+      .withMessage('schedule times must be HH:mm'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('invalid isActive')
+      .toBoolean(),
+  ];
+};
+
+export const validatePromotionInput = withValidationErrors(promotionRules());
+
+export const validateUpdatePromotionInput = withValidationErrors(
+  promotionRules({ optional: true })
+);
+
+export const validatePromotionIdParam = withValidationErrors([
+  param('id').custom(async (id) => {
+    const promotion = OBJECT_ID.test(id)
+      ? await prisma.promotion.findUnique({ where: { id } })
+      : null;
+    if (!promotion) throw new Error(`no promotion with id ${id}`);
+  }),
+]);
+
+const ingredientRules = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').notEmpty().withMessage('name is required').trim(),
+    field('unit')
+      .isIn(INGREDIENT_UNITS)
+      .withMessage(`unit must be one of ${INGREDIENT_UNITS.join(', ')}`),
+    body('lowStockThreshold')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('lowStockThreshold must be at least 0')
+      .toFloat(),
+  ];
+};
+
+export const validateIngredientInput = withValidationErrors([
+  ...ingredientRules(),
+  body('stock')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('stock must be at least 0')
+    .toFloat(),
+]);
+
+export const validateUpdateIngredientInput = withValidationErrors(
+  ingredientRules({ optional: true })
+);
+
+export const validateIngredientIdParam = withValidationErrors([
+  param('id').custom(async (id) => {
+    const ingredient = OBJECT_ID.test(id)
+      ? await prisma.ingredient.findUnique({ where: { id } })
+      : null;
+    if (!ingredient) throw new Error(`no ingredient with id ${id}`);
+  }),
+]);
+
+export const validateIngredientStockAdjustment = withValidationErrors([
+  body('type')
+    .isIn([RESTOCK, ADJUST])
+    .withMessage(`type must be ${RESTOCK} or ${ADJUST}`),
+  body('quantity')
+    .if(body('type').equals(RESTOCK))
+    .isFloat({ gt: 0 })
+    .withMessage('restock quantity must be greater than 0')
+    .toFloat(),
+  body('quantity')
+    .if(body('type').equals(ADJUST))
+    .isFloat()
+    .withMessage('invalid adjustment quantity')
+    .custom((quantity) => Number(quantity) !== 0)
+    .withMessage('adjustment quantity cannot be 0')
+    .toFloat(),
+  body('note').optional().isString().withMessage('invalid note'),
 ]);
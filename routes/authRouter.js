@@ -1,14 +1,69 @@
 import { Router } from 'express';
-import { register, login, logout } from '../controllers/authController.js';
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getMe,
+  updateMe,
+  changePassword,
+} from '../controllers/authController.js';
 import {
   validateRegister,
   validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateUpdateProfile,
+  validateChangePassword,
 } from '../middleware/validationMiddleware.js';
+import {
+  authRateLimit,
+  emailRateLimit,
+  loginRateLimit,
+  registerRateLimit,
+} from '../middleware/rateLimitMiddleware.js';
+import {
+  authenticateUser,
+  optionalAuthenticateUser,
+} from '../middleware/authMiddleware.js';
 
 const router = Router();
 
-router.post('/auth/register', validateRegister, register);
-router.post('/auth/login', validateLogin, login);
-router.post('/auth/logout', logout);
+router.post('/auth/register', registerRateLimit, validateRegister, register);
+router.post('/auth/login', loginRateLimit, validateLogin, login);
+router.post('/auth/refresh', authRateLimit, refresh);
+router.post('/auth/logout', optionalAuthenticateUser, logout);
+router.post('/auth/logout-all', authenticateUser, logoutAll);
+router.post(
+  '/auth/forgot-password',
+  emailRateLimit,
+  validateForgotPassword,
+  forgotPassword
+);
+router.post('/auth/reset-password', validateResetPassword, resetPassword);
+router.post('/auth/verify-email', validateVerifyEmail, verifyEmail);
+router.post(
+  '/auth/verify-email/resend',
+  authenticateUser,
+  emailRateLimit,
+  resendVerificationEmail
+);
+router
+  .route('/auth/me')
+  .get(authenticateUser, getMe)
+  .patch(authenticateUser, validateUpdateProfile, updateMe);
+router.post(
+  '/auth/change-password',
+  authenticateUser,
+  authRateLimit,
+  validateChangePassword,
+  changePassword
+);
 
 export default router;
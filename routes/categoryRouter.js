@@ -0,0 +1,46 @@
+import { Router } from 'express';
+import {
+  getAllCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getCategoryProducts,
+} from '../controllers/categoryController.js';
+import {
+  validateCategoryInput,
+  validateUpdateCategoryInput,
+  validateCategoryIdParam,
+  validateProductQuery,
+} from '../middleware/validationMiddleware.js';
+import {
+  authenticateUser,
+  authorizeRoles,
+  optionalAuthenticateUser,
+} from '../middleware/authMiddleware.js';
+import { ROLE_ADMIN } from '../utils/constants.js';
+
+const router = Router();
+
+const adminOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN)];
+
+router
+  .route('/category')
+  .get(optionalAuthenticateUser, getAllCategory)
+  .post(adminOnly, validateCategoryInput, createCategory);
+router
+  .route('/category/:id')
+  .patch(
+    adminOnly,
+    validateCategoryIdParam,
+    validateUpdateCategoryInput,
+    updateCategory
+  )
+  .delete(adminOnly, validateCategoryIdParam, deleteCategory);
+router.get(
+  '/category/:slug/products',
+  optionalAuthenticateUser,
+  validateProductQuery,
+  getCategoryProducts
+);
+
+export default router;
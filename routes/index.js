@@ -1,12 +1,30 @@
 import { Router } from 'express';
 import authRouter from './authRouter.js';
+import userRouter from './userRouter.js';
 import productRouter from './productRouter.js';
+import categoryRouter from './categoryRouter.js';
 import transactionRouter from './transactionRouter.js';
+import paymentRouter from './paymentRouter.js';
+import inventoryRouter from './inventoryRouter.js';
+import orderRouter from './orderRouter.js';
+import kitchenRouter from './kitchenRouter.js';
+import stationRouter from './stationRouter.js';
+import tableRouter from './tableRouter.js';
+import promotionRouter from './promotionRouter.js';
 
 const router = Router();
 
 router.use(authRouter);
+router.use(userRouter);
 router.use(productRouter);
+router.use(categoryRouter);
 router.use(transactionRouter);
+router.use(paymentRouter);
+router.use(inventoryRouter);
+router.use(orderRouter);
+router.use(kitchenRouter);
+router.use(stationRouter);
+router.use(tableRouter);
+router.use(promotionRouter);
 
 export default router;
@@ -0,0 +1,58 @@
+import { Router } from 'express';
+import {
+  getIngredients,
+  createIngredient,
+  updateIngredient,
+  deleteIngredient,
+  adjustIngredient,
+  getIngredientMovements,
+  getLowStockReport,
+} from '../controllers/inventoryController.js';
+import {
+  validateIngredientInput,
+  validateUpdateIngredientInput,
+  validateIngredientIdParam,
+  validateIngredientStockAdjustment,
+  validatePagination,
+} from '../middleware/validationMiddleware.js';
+import {
+  authenticateUser,
+  authorizeRoles,
+} from '../middleware/authMiddleware.js';
+import { ROLE_ADMIN, ROLE_STAFF } from '../utils/constants.js';
+
+const router = Router();
+
+const adminOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN)];
+const staffOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN, ROLE_STAFF)];
+
+router
+  .route('/inventory/ingredients')
+  .get(staffOnly, getIngredients)
+  .post(adminOnly, validateIngredientInput, createIngredient);
+router
+  .route('/inventory/ingredients/:id')
+  .patch(
+    adminOnly,
+    validateIngredientIdParam,
+    validateUpdateIngredientInput,
+    updateIngredient
+  )
+  .delete(adminOnly, validateIngredientIdParam, deleteIngredient);
+router.post(
+  '/inventory/ingredients/:id/stock',
+  adminOnly,
+  validateIngredientIdParam,
+  validateIngredientStockAdjustment,
+  adjustIngredient
+);
+router.get(
+  '/inventory/ingredients/:id/movements',
+  staffOnly,
+  validateIngredientIdParam,
+  validatePagination,
+  getIngredientMovements
+);
+router.get('/inventory/low-stock', staffOnly, getLowStockReport);
+
+export default router;
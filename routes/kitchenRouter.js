@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { streamKitchenEvents } from '../controllers/kitchenController.js';
+import {
+  authenticateStream,
+  authorizeRoles,
+} from '../middleware/authMiddleware.js';
+import { ROLE_ADMIN, ROLE_STAFF } from '../utils/constants.js';
+
+const router = Router();
+
+router.get(
+  '/kitchen/stream',
+  authenticateStream,
+  authorizeRoles(ROLE_ADMIN, ROLE_STAFF),
+  streamKitchenEvents
+);
+
+export default router;
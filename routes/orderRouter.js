@@ -0,0 +1,9 @@
+import { Router } from 'express';
+import { trackOrder } from '../controllers/transactionController.js';
+
+const router = Router();
+
+// Public: the tracking token is the only credential.
+router.get('/order/track/:token', trackOrder);
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import {
+  expireOverduePayments,
+  handlePaymentNotification,
+} from '../controllers/paymentController.js';
+import { authenticateCron } from '../middleware/authMiddleware.js';
+import { validatePaymentNotification } from '../middleware/validationMiddleware.js';
+
+const router = Router();
+
+router.post(
+  '/payment/notification',
+  validatePaymentNotification,
+  handlePaymentNotification
+);
+
+router.get('/payment/expire', authenticateCron, expireOverduePayments);
+
+export default router;
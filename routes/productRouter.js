@@ -3,20 +3,60 @@ import {
   createProduct,
   getAllProduct,
   getProductById,
+  updateProduct,
   deleteProductById,
 } from '../controllers/productController.js';
-import { validateProductInput } from '../middleware/validationMiddleware.js';
-import { authenticateUser } from '../middleware/authMiddleware.js';
+import {
+  adjustProductStock,
+  getProductStockMovements,
+} from '../controllers/stockController.js';
+import {
+  validateProductInput,
+  validateUpdateProductInput,
+  validateProductIdParam,
+  validateProductIdFormat,
+  validateProductQuery,
+  validateStockAdjustment,
+  validatePagination,
+} from '../middleware/validationMiddleware.js';
+import {
+  authenticateUser,
+  authorizeRoles,
+  optionalAuthenticateUser,
+} from '../middleware/authMiddleware.js';
+import { ROLE_ADMIN } from '../utils/constants.js';
 
 const router = Router();
 
+const adminOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN)];
+
 router
   .route('/product')
-  .get(getAllProduct)
-  .post(authenticateUser, validateProductInput, createProduct);
+  .get(optionalAuthenticateUser, validateProductQuery, getAllProduct)
+  .post(adminOnly, validateProductInput, createProduct);
 router
   .route('/product/:id')
-  .get(getProductById)
-  .delete(authenticateUser, deleteProductById);
+  .get(optionalAuthenticateUser, validateProductIdFormat, getProductById)
+  .patch(
+    adminOnly,
+    validateProductIdParam,
+    validateUpdateProductInput,
+    updateProduct
+  )
+  .delete(adminOnly, validateProductIdParam, deleteProductById);
+router.post(
+  '/product/:id/stock',
+  adminOnly,
+  validateProductIdParam,
+  validateStockAdjustment,
+  adjustProductStock
+);
+router.get(
+  '/product/:id/stock-movements',
+  adminOnly,
+  validateProductIdParam,
+  validatePagination,
+  getProductStockMovements
+);
 
 export default router;
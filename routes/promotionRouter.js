@@ -0,0 +1,49 @@
+import { Router } from 'express';
+import {
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  previewPromotion,
+} from '../controllers/promotionController.js';
+import {
+  validatePromotionInput,
+  validateUpdatePromotionInput,
+  validatePromotionIdParam,
+  validatePromoPreview,
+} from '../middleware/validationMiddleware.js';
+import {
+  authenticateUser,
+  authorizeRoles,
+} from '../middleware/authMiddleware.js';
+import { promoRateLimit } from '../middleware/rateLimitMiddleware.js';
+import { ROLE_ADMIN, ROLE_STAFF } from '../utils/constants.js';
+
+const router = Router();
+
+const adminOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN)];
+const staffOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN, ROLE_STAFF)];
+
+// Customer routes
+router.post(
+  '/promo/validate',
+  promoRateLimit,
+  validatePromoPreview,
+  previewPromotion
+);
+
+router
+  .route('/promo')
+  .get(staffOnly, getPromotions)
+  .post(adminOnly, validatePromotionInput, createPromotion);
+router
+  .route('/promo/:id')
+  .patch(
+    adminOnly,
+    validatePromotionIdParam,
+    validateUpdatePromotionInput,
+    updatePromotion
+  )
+  .delete(adminOnly, validatePromotionIdParam, deletePromotion);
+
+export default router;
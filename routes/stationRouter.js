@@ -0,0 +1,47 @@
+import { Router } from 'express';
+import {
+  getStations,
+  createStation,
+  updateStation,
+  deleteStation,
+  getStationQueue,
+} from '../controllers/stationController.js';
+import {
+  validateStationInput,
+  validateUpdateStationInput,
+  validateStationIdParam,
+  validateStationQueueQuery,
+} from '../middleware/validationMiddleware.js';
+import {
+  authenticateUser,
+  authorizeRoles,
+} from '../middleware/authMiddleware.js';
+import { ROLE_ADMIN, ROLE_STAFF } from '../utils/constants.js';
+
+const router = Router();
+
+const adminOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN)];
+const staffOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN, ROLE_STAFF)];
+
+router
+  .route('/station')
+  .get(staffOnly, getStations)
+  .post(adminOnly, validateStationInput, createStation);
+router
+  .route('/station/:id')
+  .patch(
+    adminOnly,
+    validateStationIdParam,
+    validateUpdateStationInput,
+    updateStation
+  )
+  .delete(adminOnly, validateStationIdParam, deleteStation);
+router.get(
+  '/station/:id/queue',
+  staffOnly,
+  validateStationIdParam,
+  validateStationQueueQuery,
+  getStationQueue
+);
+
+export default router;
@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import {
+  getTables,
+  createTable,
+  updateTable,
+  deleteTable,
+  getTableQr,
+  rotateTableQr,
+  resolveTableToken,
+} from '../controllers/tableController.js';
+import {
+  validateTableInput,
+  validateUpdateTableInput,
+  validateTableIdParam,
+  validateTableQrQuery,
+} from '../middleware/validationMiddleware.js';
+import {
+  authenticateUser,
+  authorizeRoles,
+} from '../middleware/authMiddleware.js';
+import { ROLE_ADMIN, ROLE_STAFF } from '../utils/constants.js';
+
+const router = Router();
+
+const adminOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN)];
+const staffOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN, ROLE_STAFF)];
+
+router
+  .route('/table')
+  .get(staffOnly, getTables)
+  .post(adminOnly, validateTableInput, createTable);
+router.get('/table/resolve/:token', resolveTableToken);
+router
+  .route('/table/:id')
+  .patch(adminOnly, validateTableIdParam, validateUpdateTableInput, updateTable)
+  .delete(adminOnly, validateTableIdParam, deleteTable);
+router.get(
+  '/table/:id/qr',
+  adminOnly,
+  validateTableIdParam,
+  validateTableQrQuery,
+  getTableQr
+);
+router.post(
+  '/table/:id/qr/rotate',
+  adminOnly,
+  validateTableIdParam,
+  rotateTableQr
+);
+
+export default router;
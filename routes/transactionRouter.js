@@ -4,14 +4,58 @@ import {
   getTransactions,
   getTransactionById,
   updateTransactionStatus,
+  updateItemPrepStatus,
 } from '../controllers/transactionController.js';
-import { validateTransaction } from '../middleware/validationMiddleware.js';
+import {
+  validateTransaction,
+  validateTransactionQuery,
+  validateTransactionStatus,
+  validateItemPrepStatus,
+} from '../middleware/validationMiddleware.js';
+import {
+  authenticateUser,
+  authorizeRoles,
+  optionalAuthenticateUser,
+} from '../middleware/authMiddleware.js';
+import {
+  orderIpRateLimit,
+  orderRateLimit,
+} from '../middleware/rateLimitMiddleware.js';
+import { ROLE_ADMIN, ROLE_STAFF } from '../utils/constants.js';
 
 const router = Router();
 
-router.post('/transaction', validateTransaction, createTransaction);
-router.get('/transaction', getTransactions);
-router.get('/transaction/:id', getTransactionById);
-router.post('/transaction/:id', updateTransactionStatus);
+const staffOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN, ROLE_STAFF)];
+
+// Customer routes
+router.post(
+  '/transaction',
+  optionalAuthenticateUser,
+  orderIpRateLimit,
+  orderRateLimit,
+  validateTransaction,
+  createTransaction
+);
+
+// Staff and admin routes
+router.get(
+  '/transaction',
+  staffOnly,
+  validateTransactionQuery,
+  getTransactions
+);
+router.get('/transaction/:id', staffOnly, getTransactionById);
+router.post(
+  '/transaction/:id',
+  staffOnly,
+  validateTransactionStatus,
+  updateTransactionStatus
+);
+router.patch(
+  '/transaction/:id/items/:itemId',
+  staffOnly,
+  validateItemPrepStatus,
+  updateItemPrepStatus
+);
 
 export default router;
@@ -0,0 +1,33 @@
+import { Router } from 'express';
+import {
+  getUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+} from '../controllers/userController.js';
+import {
+  validateUserInput,
+  validateUpdateUser,
+  validateUserIdParam,
+  validateUserQuery,
+} from '../middleware/validationMiddleware.js';
+import {
+  authenticateUser,
+  authorizeRoles,
+} from '../middleware/authMiddleware.js';
+import { ROLE_ADMIN } from '../utils/constants.js';
+
+const router = Router();
+
+const adminOnly = [authenticateUser, authorizeRoles(ROLE_ADMIN)];
+
+router
+  .route('/users')
+  .get(adminOnly, validateUserQuery, getUsers)
+  .post(adminOnly, validateUserInput, createUser);
+router
+  .route('/users/:id')
+  .patch(adminOnly, validateUserIdParam, validateUpdateUser, updateUser)
+  .delete(adminOnly, validateUserIdParam, deleteUser);
+
+export default router;
@@ -0,0 +1,39 @@
+import prisma from '../lib/prisma.js';
+
+// Documents written before a required field existed have no value for it,
+// which Prisma refuses to read back. Add new required fields here.
+const defaults = [
+  { collection: 'User', field: 'isActive', value: true },
+  { collection: 'products', field: 'isAvailable', value: true },
+  { collection: 'products', field: 'modifierGroups', value: [] },
+  { collection: 'products', field: 'recipe', value: [] },
+  { collection: 'transactions', field: 'orderType', value: 'DINE_IN' },
+  { collection: 'transactions', field: 'fees', value: [] },
+  { collection: 'transactions', field: 'discounts', value: [] },
+  { collection: 'transactionsItems', field: 'modifiers', value: [] },
+  { collection: 'transactionsItems', field: 'prepStatus', value: 'QUEUED' },
+];
+
+const main = async () => {
+  for (const { collection, field, value } of defaults) {
+    const result = await prisma.$runCommandRaw({
+      update: collection,
+      updates: [
+        {
+          q: { [field]: { $exists: false } },
+          u: { $set: { [field]: value } },
+          multi: true,
+        },
+      ],
+    });
+
+    console.log(`${collection}.${field}: backfilled ${result.nModified}`);
+  }
+};
+
+main()
+  .catch((error) => {
+    console.log(error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
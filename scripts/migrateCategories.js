@@ -0,0 +1,88 @@
+import prisma from '../lib/prisma.js';
+import { slugify } from '../utils/slugify.js';
+
+// Converts the free-text `products.category` strings into Category documents
+// and points each product at one through `categoryId`. Strings that slugify
+// the same way ("Coffee", " coffee ") end up in one category. Safe to re-run:
+// products that already have a categoryId are left alone.
+const main = async () => {
+  const products = await prisma.product.findRaw({
+    filter: {
+      category: { $type: 'string' },
+      categoryId: { $exists: false },
+    },
+    options: {
+      projection: { category: 1 },
+    },
+  });
+
+  const namesBySlug = new Map();
+  const unsluggable = new Set();
+
+  for (const { category } of products) {
+    const name = category.trim();
+    const slug = slugify(name);
+
+    // All of these would share the empty slug and end up in one category.
+    if (!slug) {
+      unsluggable.add(category);
+      continue;
+    }
+
+    if (!namesBySlug.has(slug)) {
+      namesBySlug.set(slug, { name, values: new Set() });
+    }
+    namesBySlug.get(slug).values.add(category);
+  }
+
+  let displayOrder = await prisma.category.count();
+
+  for (const [slug, { name, values }] of namesBySlug) {
+    const category = await prisma.category.upsert({
+      where: { slug },
+      update: {},
+      create: { name, slug, displayOrder: displayOrder++ },
+    });
+
+    const result = await prisma.$runCommandRaw({
+      update: 'products',
+      updates: [
+        {
+          q: {
+            category: { $in: [...values] },
+            categoryId: { $exists: false },
+          },
+          u: {
+            $set: { categoryId: { $oid: category.id } },
+            $unset: { category: '' },
+          },
+          multi: true,
+        },
+      ],
+    });
+
+    console.log(`${name} (${slug}): ${result.nModified} products`);
+  }
+
+  const skipped = [...unsluggable];
+  const migrated = products.filter(
+    ({ category }) => !unsluggable.has(category)
+  ).length;
+
+  console.log(
+    `migrated ${migrated} products into ${namesBySlug.size} categories`
+  );
+
+  if (skipped.length > 0) {
+    console.log(
+      `skipped categories without letters or digits, set them by hand: ${skipped.join(', ')}`
+    );
+  }
+};
+
+main()
+  .catch((error) => {
+    console.log(error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
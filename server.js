@@ -1,14 +1,22 @@
 import express from 'express';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import errorHandlerMiddleware from './middleware/errorHandlerMiddleware.js';
 import swaggerUi from 'swagger-ui-express';
 import swaggerJsdoc from 'swagger-jsdoc';
 import routes from './routes/index.js';
+import prisma from './lib/prisma.js';
+import redis from './lib/redis.js';
+import { createExpirySweeper } from './utils/paymentExpiry.js';
 import * as dotenv from 'dotenv';
 dotenv.config();
 
 const app = express();
 
+// Number of proxies in front of the app, so req.ip is the client address
+// the rate limits are counted by.
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || 0);
+
 // Swagger
 const options = {
   definition: {
@@ -19,16 +27,37 @@ const options = {
       description:
         'A simple CRUD API application made with Express and documented with Swagger',
     },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
+    },
   },
   apis: ['./controllers/*.js'],
 };
 const specs = swaggerJsdoc(options);
 app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(specs));
 
-app.use(cors());
+// Cookie logins from another origin need that origin listed here.
+app.use(
+  process.env.CORS_ORIGINS
+    ? cors({ origin: process.env.CORS_ORIGINS.split(','), credentials: true })
+    : cors()
+);
 app.use(express.json());
+app.use(cookieParser());
 
 const PORT = process.env.PORT || 5000;
+// Seconds between sweeps for unpaid orders past their deadline; 0 disables.
+// Serverless hosts do not keep the timer running, so there schedule
+// GET /api/payment/expire with CRON_SECRET instead.
+const PAYMENT_EXPIRY_SWEEP_SECONDS = Number(
+  process.env.PAYMENT_EXPIRY_SWEEP_SECONDS ?? 60
+);
 
 // Routes
 app.get('/', (req, res) => {
@@ -51,3 +80,9 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log('server running');
 });
+
+if (PAYMENT_EXPIRY_SWEEP_SECONDS > 0) {
+  createExpirySweeper({ prisma, redis }).start(
+    PAYMENT_EXPIRY_SWEEP_SECONDS * 1000
+  );
+}
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSnapClient,
+  verifyNotificationSignature,
+} from '../lib/midtrans.js';
+import { BadGatewayError } from '../errors/customError.js';
+
+const realFetch = globalThis.fetch;
+
+// Replaces fetch for one test and records the requests sent.
+const stubFetch = (respond) => {
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, options });
+    return respond();
+  };
+  return requests;
+};
+
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+describe('createSnapClient', () => {
+  const client = createSnapClient({
+    url: 'https://snap.test/transactions',
+    serverKey: 'server-key',
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it('returns the token and redirect url', async () => {
+    const requests = stubFetch(() =>
+      jsonResponse(201, { token: 'tok', redirect_url: 'https://pay.test' })
+    );
+
+    const snap = await client.createTransaction({
+      transaction_details: { order_id: 'TRX-1', gross_amount: 25000 },
+    });
+
+    assert.deepEqual(snap, { token: 'tok', redirectUrl: 'https://pay.test' });
+    assert.equal(requests[0].url, 'https://snap.test/transactions');
+    assert.equal(
+      requests[0].options.headers.Authorization,
+      `Basic ${Buffer.from('server-key:').toString('base64')}`
+    );
+    assert.deepEqual(JSON.parse(requests[0].options.body), {
+      transaction_details: { order_id: 'TRX-1', gross_amount: 25000 },
+    });
+  });
+
+  it('reports the error messages of the gateway', async () => {
+    stubFetch(() =>
+      jsonResponse(400, { error_messages: ['gross_amount is required'] })
+    );
+
+    await assert.rejects(
+      client.createTransaction({}),
+      (error) =>
+        error instanceof BadGatewayError &&
+        error.message === 'payment gateway error: gross_amount is required'
+    );
+  });
+
+  it('fails with a bad gateway error when the gateway is unreachable', async () => {
+    stubFetch(() => {
+      throw new TypeError('fetch failed');
+    });
+
+    await assert.rejects(client.createTransaction({}), BadGatewayError);
+  });
+});
+
+describe('verifyNotificationSignature', () => {
+  const realServerKey = process.env.MIDTRANS_SERVER_KEY;
+
+  const notification = {
+    order_id: 'TRX-1',
+    status_code: '200',
+    gross_amount: '25000.00',
+  };
+
+  const sign = (serverKey) =>
+    crypto
+      .createHash('sha512')
+      .update(`TRX-120025000.00${serverKey}`)
+      .digest('hex');
+
+  afterEach(() => {
+    if (realServerKey === undefined) {
+      delete process.env.MIDTRANS_SERVER_KEY;
+    } else {
+      process.env.MIDTRANS_SERVER_KEY = realServerKey;
+    }
+  });
+
+  it('accepts a notification signed with the server key', () => {
+    process.env.MIDTRANS_SERVER_KEY = 'server-key';
+
+    assert.equal(
+      verifyNotificationSignature({
+        ...notification,
+        signature_key: sign('server-key'),
+      }),
+      true
+    );
+  });
+
+  it('rejects a notification signed with another key', () => {
+    process.env.MIDTRANS_SERVER_KEY = 'server-key';
+
+    assert.equal(
+      verifyNotificationSignature({
+        ...notification,
+        signature_key: sign('other-key'),
+      }),
+      false
+    );
+  });
+
+  it('rejects a notification whose amount was changed', () => {
+    process.env.MIDTRANS_SERVER_KEY = 'server-key';
+
+    assert.equal(
+      verifyNotificationSignature({
+        ...notification,
+        gross_amount: '1.00',
+        signature_key: sign('server-key'),
+      }),
+      false
+    );
+  });
+
+  it('rejects every notification when no server key is set', () => {
+    delete process.env.MIDTRANS_SERVER_KEY;
+
+    assert.equal(
+      verifyNotificationSignature({
+        ...notification,
+        signature_key: sign(undefined),
+      }),
+      false
+    );
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DELIVERY, DINE_IN, TAKEAWAY } from '../utils/constants.js';
+
+// The fees are read from the environment when the module loads.
+process.env.PACKAGING_FEE = '2000';
+process.env.DELIVERY_FEE = '10000';
+const { orderFees, orderTotal } = await import('../utils/orderPricing.js');
+
+const lines = [
+  { price: 25000, quantity: 2 },
+  { price: 18000, quantity: 1 },
+];
+
+describe('orderFees', () => {
+  it('charges nothing for dine-in', () => {
+    assert.deepEqual(orderFees(DINE_IN), []);
+  });
+
+  it('charges packaging for takeaway', () => {
+    assert.deepEqual(orderFees(TAKEAWAY), [
+      { type: 'PACKAGING', name: 'Packaging fee', amount: 2000 },
+    ]);
+  });
+
+  it('charges packaging and delivery for delivery', () => {
+    assert.deepEqual(orderFees(DELIVERY), [
+      { type: 'PACKAGING', name: 'Packaging fee', amount: 2000 },
+      { type: 'DELIVERY', name: 'Delivery fee', amount: 10000 },
+    ]);
+  });
+});
+
+describe('orderTotal', () => {
+  it('adds the fees to the items', () => {
+    assert.equal(orderTotal(lines, orderFees(DELIVERY)), 68000 + 12000);
+  });
+});
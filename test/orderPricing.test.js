@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOrderLines, orderTotal } from '../utils/orderPricing.js';
+
+const latte = {
+  id: 'latte',
+  name: 'Latte',
+  price: 25000,
+  isAvailable: true,
+  category: { isActive: true },
+  modifierGroups: [
+    {
+      id: 'size',
+      name: 'Size',
+      required: true,
+      minSelect: 1,
+      maxSelect: 1,
+      options: [
+        { id: 'regular', name: 'Regular', priceDelta: 0, isAvailable: true },
+        { id: 'large', name: 'Large', priceDelta: 5000, isAvailable: true },
+      ],
+    },
+  ],
+};
+
+const croissant = {
+  id: 'croissant',
+  name: 'Croissant',
+  price: 18000,
+  isAvailable: true,
+  category: { isActive: true },
+  modifierGroups: [],
+};
+
+const summary = (lines) =>
+  lines.map(({ product, modifiers, price, quantity }) => ({
+    id: product.id,
+    options: modifiers.map((modifier) => modifier.optionId),
+    price,
+    quantity,
+  }));
+
+describe('buildOrderLines', () => {
+  it('prices each line with its modifiers', () => {
+    const { lines, errors } = buildOrderLines(
+      [
+        { id: 'latte', quantity: 2, modifiers: ['large'] },
+        { id: 'croissant', quantity: 1 },
+      ],
+      [latte, croissant]
+    );
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(summary(lines), [
+      { id: 'latte', options: ['large'], price: 30000, quantity: 2 },
+      { id: 'croissant', options: [], price: 18000, quantity: 1 },
+    ]);
+  });
+
+  it('merges lines with the same product and modifiers', () => {
+    const { lines } = buildOrderLines(
+      [
+        { id: 'latte', quantity: 1, modifiers: ['large'] },
+        { id: 'latte', quantity: 1, modifiers: ['regular'] },
+        { id: 'latte', quantity: 2, modifiers: ['large'] },
+      ],
+      [latte]
+    );
+
+    assert.deepEqual(summary(lines), [
+      { id: 'latte', options: ['large'], price: 30000, quantity: 3 },
+      { id: 'latte', options: ['regular'], price: 25000, quantity: 1 },
+    ]);
+  });
+
+  it('collects the problems of every line', () => {
+    const { lines, errors } = buildOrderLines(
+      [
+        { id: 'missing', quantity: 1 },
+        { id: 'latte', quantity: 1 },
+        { id: 'croissant', quantity: 1 },
+      ],
+      [latte, { ...croissant, isAvailable: false }]
+    );
+
+    assert.deepEqual(lines, []);
+    assert.deepEqual(errors, [
+      { index: 0, id: 'missing', msg: 'product not found' },
+      { index: 1, id: 'latte', msg: 'Size is required' },
+      { index: 2, id: 'croissant', msg: 'Croissant is not available' },
+    ]);
+  });
+
+  it('refuses products in an inactive category', () => {
+    const { errors } = buildOrderLines(
+      [{ id: 'croissant', quantity: 1 }],
+      [{ ...croissant, category: { isActive: false } }]
+    );
+
+    assert.deepEqual(errors, [
+      { index: 0, id: 'croissant', msg: 'Croissant is not available' },
+    ]);
+  });
+
+  it('refuses a price that is not a whole amount instead of rounding it', () => {
+    const { lines, errors } = buildOrderLines(
+      [{ id: 'croissant', quantity: 1 }],
+      [{ ...croissant, price: 10.5 }]
+    );
+
+    assert.deepEqual(lines, []);
+    assert.deepEqual(errors, [
+      {
+        index: 0,
+        id: 'croissant',
+        msg: 'Croissant has a price that is not a whole amount',
+      },
+    ]);
+  });
+});
+
+describe('orderTotal', () => {
+  it('adds up price times quantity of every line', () => {
+    const { lines } = buildOrderLines(
+      [
+        { id: 'latte', quantity: 2, modifiers: ['large'] },
+        { id: 'croissant', quantity: 3 },
+      ],
+      [latte, croissant]
+    );
+
+    assert.equal(orderTotal(lines), 2 * 30000 + 3 * 18000);
+  });
+});
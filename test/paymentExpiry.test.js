@@ -0,0 +1,161 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExpirySweeper } from '../utils/paymentExpiry.js';
+import { ACTOR_SYSTEM, CANCELED, PAID, PENDING } from '../utils/constants.js';
+
+const minutes = (n) => n * 60 * 1000;
+const START = new Date('2026-01-01T10:00:00Z');
+
+// Enough of a where clause for the queries the status change sends.
+const matches = (row, where) =>
+  Object.entries(where).every(([field, condition]) => {
+    if (condition?.in) return condition.in.includes(row[field]);
+    if (condition?.isSet === false) return row[field] === undefined;
+    return row[field] === condition;
+  });
+
+// An in-memory transaction collection; other models look empty.
+const createFakePrisma = (transactions) => {
+  const rows = new Map(transactions.map((row) => [row.id, { ...row }]));
+  const history = [];
+
+  const emptyModel = {
+    findMany: async () => [],
+    findUnique: async () => null,
+    count: async () => 0,
+    create: async ({ data }) => data,
+    update: async ({ data }) => data,
+    updateMany: async () => ({ count: 0 }),
+  };
+
+  const models = {
+    transaction: {
+      findMany: async ({ where, take }) =>
+        [...rows.values()]
+          .filter(
+            (row) =>
+              row.status === where.status &&
+              row.paymentDeadline <= where.paymentDeadline.lte
+          )
+          .sort((a, b) => a.paymentDeadline - b.paymentDeadline)
+          .slice(0, take)
+          .map(({ id }) => ({ id })),
+      findUnique: async ({ where }) => rows.get(where.id) ?? null,
+      updateMany: async ({ where, data }) => {
+        const row = rows.get(where.id);
+        if (!row || !matches(row, where)) return { count: 0 };
+        Object.assign(row, data);
+        return { count: 1 };
+      },
+    },
+    transactionStatusHistory: {
+      create: async ({ data }) => {
+        history.push(data);
+        return data;
+      },
+    },
+  };
+
+  const prisma = new Proxy(models, {
+    get: (target, name) => {
+      if (name === '$transaction') return (fn) => fn(prisma);
+      return target[name] ?? emptyModel;
+    },
+  });
+
+  return { prisma, rows, history };
+};
+
+const pending = (id, deadlineMinutes) => ({
+  id,
+  status: PENDING,
+  paymentDeadline: new Date(START.getTime() + minutes(deadlineMinutes)),
+});
+
+describe('createExpirySweeper', () => {
+  // Order events go through the real Prisma client, which fails and logs
+  // here; the sweep carries on regardless.
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('cancels only PENDING transactions past their deadline', async () => {
+    const { prisma, rows, history } = createFakePrisma([
+      pending('TRX-late', -5),
+      pending('TRX-on-time', 10),
+      { ...pending('TRX-paid', -5), status: PAID },
+    ]);
+    const sweeper = createExpirySweeper({ prisma, now: () => START });
+
+    assert.deepEqual(await sweeper.sweep(), ['TRX-late']);
+    assert.equal(rows.get('TRX-late').status, CANCELED);
+    assert.equal(rows.get('TRX-on-time').status, PENDING);
+    assert.equal(rows.get('TRX-paid').status, PAID);
+    assert.deepEqual(
+      history.map(({ transactionId, toStatus, actor }) => ({
+        transactionId,
+        toStatus,
+        actor,
+      })),
+      [{ transactionId: 'TRX-late', toStatus: CANCELED, actor: ACTOR_SYSTEM }]
+    );
+  });
+
+  it('expires transactions as the clock passes their deadline', async () => {
+    const { prisma } = createFakePrisma([
+      pending('TRX-1', 5),
+      pending('TRX-2', 15),
+    ]);
+    let clock = START;
+    const sweeper = createExpirySweeper({ prisma, now: () => clock });
+
+    assert.deepEqual(await sweeper.sweep(), []);
+
+    clock = new Date(START.getTime() + minutes(5));
+    assert.deepEqual(await sweeper.sweep(), ['TRX-1']);
+
+    clock = new Date(START.getTime() + minutes(20));
+    assert.deepEqual(await sweeper.sweep(), ['TRX-2']);
+  });
+
+  it('expires the oldest deadlines first, a batch at a time', async () => {
+    const { prisma } = createFakePrisma([
+      pending('TRX-3', -1),
+      pending('TRX-1', -3),
+      pending('TRX-2', -2),
+    ]);
+    const sweeper = createExpirySweeper({
+      prisma,
+      now: () => START,
+      batchSize: 2,
+    });
+
+    assert.deepEqual(await sweeper.sweep(), ['TRX-1', 'TRX-2']);
+    assert.deepEqual(await sweeper.sweep(), ['TRX-3']);
+  });
+
+  it('skips the sweep while another instance holds the lock', async () => {
+    const { prisma, rows } = createFakePrisma([pending('TRX-1', -5)]);
+    const redis = { set: async () => null };
+    const sweeper = createExpirySweeper({ prisma, redis, now: () => START });
+
+    assert.equal(await sweeper.sweep(), null);
+    assert.equal(rows.get('TRX-1').status, PENDING);
+  });
+
+  it('sweeps unlocked when Redis cannot be reached', async () => {
+    const { prisma } = createFakePrisma([pending('TRX-1', -5)]);
+    const redis = {
+      set: async () => {
+        throw new Error('connection refused');
+      },
+    };
+    const sweeper = createExpirySweeper({ prisma, redis, now: () => START });
+
+    assert.deepEqual(await sweeper.sweep(), ['TRX-1']);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderTotal } from '../utils/orderPricing.js';
+
+// Schedules are read in PROMO_TIMEZONE, which is fixed when the module loads.
+process.env.PROMO_TIMEZONE = 'Asia/Jakarta';
+const { BUY_X_GET_Y, FIXED, PERCENTAGE, calculateDiscount, isWithinSchedule } =
+  await import('../utils/promotions.js');
+
+const latte = { id: 'latte', categoryId: 'coffee' };
+const croissant = { id: 'croissant', categoryId: 'bakery' };
+
+const lines = [
+  { product: latte, price: 25000, quantity: 2 },
+  { product: croissant, price: 18000, quantity: 1 },
+];
+
+const promotion = (fields) => ({
+  productIds: [],
+  categoryIds: [],
+  maxDiscount: null,
+  value: null,
+  schedule: [],
+  ...fields,
+});
+
+describe('calculateDiscount', () => {
+  it('takes a percentage off the whole order', () => {
+    assert.equal(
+      calculateDiscount(promotion({ type: PERCENTAGE, value: 20 }), lines),
+      13600
+    );
+  });
+
+  it('caps a percentage at maxDiscount', () => {
+    assert.equal(
+      calculateDiscount(
+        promotion({ type: PERCENTAGE, value: 20, maxDiscount: 5000 }),
+        lines
+      ),
+      5000
+    );
+  });
+
+  it('only discounts the products and categories in scope', () => {
+    assert.equal(
+      calculateDiscount(
+        promotion({ type: PERCENTAGE, value: 10, categoryIds: ['bakery'] }),
+        lines
+      ),
+      1800
+    );
+    assert.equal(
+      calculateDiscount(
+        promotion({ type: PERCENTAGE, value: 10, productIds: ['latte'] }),
+        lines
+      ),
+      5000
+    );
+  });
+
+  it('never takes more than the lines in scope are worth', () => {
+    assert.equal(
+      calculateDiscount(
+        promotion({ type: FIXED, value: 50000, categoryIds: ['bakery'] }),
+        lines
+      ),
+      18000
+    );
+  });
+
+  it('gives the cheapest items away for buy X get Y', () => {
+    const buyTwoGetOne = { type: BUY_X_GET_Y, buyQuantity: 2, getQuantity: 1 };
+
+    assert.equal(calculateDiscount(promotion(buyTwoGetOne), lines), 18000);
+    assert.equal(
+      calculateDiscount(promotion({ ...buyTwoGetOne, value: 50 }), lines),
+      9000
+    );
+    assert.equal(
+      calculateDiscount(promotion(buyTwoGetOne), lines.slice(0, 1)),
+      0
+    );
+  });
+
+  it('is taken off the order total', () => {
+    const discount = {
+      amount: calculateDiscount(promotion({ type: FIXED, value: 8000 }), lines),
+    };
+
+    assert.equal(orderTotal(lines, [], [discount]), 68000 - 8000);
+  });
+});
+
+describe('isWithinSchedule', () => {
+  // 2026-01-05 is a Monday; Jakarta is UTC+7.
+  const weekdayAfternoons = promotion({
+    schedule: [{ days: [1, 2, 3, 4, 5], startTime: '15:00', endTime: '17:00' }],
+  });
+
+  it('applies at any time without a schedule', () => {
+    assert.equal(
+      isWithinSchedule(promotion({}), new Date('2026-01-10T20:00:00Z')),
+      true
+    );
+  });
+
+  it('applies inside a slot in the shop timezone', () => {
+    assert.equal(
+      isWithinSchedule(weekdayAfternoons, new Date('2026-01-05T08:30:00Z')),
+      true
+    );
+  });
+
+  it('treats the end of a slot as exclusive', () => {
+    assert.equal(
+      isWithinSchedule(weekdayAfternoons, new Date('2026-01-05T10:00:00Z')),
+      false
+    );
+  });
+
+  it('does not apply on other days', () => {
+    assert.equal(
+      isWithinSchedule(weekdayAfternoons, new Date('2026-01-10T08:30:00Z')),
+      false
+    );
+  });
+
+  it('runs a slot past midnight into the next day', () => {
+    const fridayNights = promotion({
+      schedule: [{ days: [5], startTime: '22:00', endTime: '02:00' }],
+    });
+
+    // Friday 23:00, Saturday 01:00 and Saturday 23:00 in Jakarta.
+    assert.equal(
+      isWithinSchedule(fridayNights, new Date('2026-01-09T16:00:00Z')),
+      true
+    );
+    assert.equal(
+      isWithinSchedule(fridayNights, new Date('2026-01-09T18:00:00Z')),
+      true
+    );
+    assert.equal(
+      isWithinSchedule(fridayNights, new Date('2026-01-10T16:00:00Z')),
+      false
+    );
+  });
+});
@@ -0,0 +1,9 @@
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+// The customer-facing frontend. Links in emails and QR codes point to it.
+export const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+export const appLink = (page, params) =>
+  `${APP_URL}/${page}?${new URLSearchParams(params)}`;
@@ -0,0 +1,30 @@
+import { ACCESS_TOKEN_TTL_MINUTES } from './tokenUtils.js';
+import { REFRESH_TOKEN_TTL_DAYS } from './sessions.js';
+
+export const ACCESS_TOKEN_COOKIE = 'accessToken';
+export const REFRESH_TOKEN_COOKIE = 'refreshToken';
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+};
+
+// The refresh token is only sent to the auth routes that use it.
+const refreshCookieOptions = { ...cookieOptions, path: '/api/auth' };
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie(ACCESS_TOKEN_COOKIE, accessToken, {
+    ...cookieOptions,
+    maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000,
+  });
+  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_TOKEN_COOKIE, cookieOptions);
+  res.clearCookie(REFRESH_TOKEN_COOKIE, refreshCookieOptions);
+};
@@ -0,0 +1,39 @@
+import { sendMail } from '../lib/mailer.js';
+import { appLink } from './appUrl.js';
+import {
+  EMAIL_VERIFICATION,
+  PASSWORD_RESET,
+  TOKEN_TTL_MINUTES,
+} from './userTokens.js';
+
+// The frontend pages read the token from the link and post it back.
+const linkTo = (page, token) => appLink(page, { token });
+
+// How long a link works, e.g. "30 minutes" or "24 hours".
+const validFor = (type) => {
+  const minutes = TOKEN_TTL_MINUTES[type];
+  const [amount, unit] =
+    minutes % 60 === 0 ? [minutes / 60, 'hour'] : [minutes, 'minute'];
+
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+export const sendPasswordResetEmail = (user, token) => {
+  const link = linkTo('reset-password', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nOpen this link within ${validFor(PASSWORD_RESET)} to choose a new password:\n${link}\n\nIf you did not ask for this, you can ignore this email.`,
+  });
+};
+
+export const sendVerificationEmail = (user, token) => {
+  const link = linkTo('verify-email', token);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name},\n\nOpen this link within ${validFor(EMAIL_VERIFICATION)} to confirm your email address:\n${link}`,
+  });
+};
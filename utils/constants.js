@@ -1,3 +1,23 @@
 export const PENDING = 'PENDING';
 export const PAID = 'PAID';
+export const PREPARING = 'PREPARING';
+export const READY = 'READY';
+export const SERVED = 'SERVED';
+export const COMPLETED = 'COMPLETED';
 export const CANCELED = 'CANCELED';
+export const REFUNDED = 'REFUNDED';
+
+export const DINE_IN = 'DINE_IN';
+export const TAKEAWAY = 'TAKEAWAY';
+export const DELIVERY = 'DELIVERY';
+
+export const ORDER_TYPES = [DINE_IN, TAKEAWAY, DELIVERY];
+
+export const ROLE_ADMIN = 'ADMIN';
+export const ROLE_STAFF = 'STAFF';
+export const ROLE_USER = 'USER';
+
+export const ACTOR_CUSTOMER = 'CUSTOMER';
+export const ACTOR_STAFF = 'STAFF';
+export const ACTOR_GATEWAY = 'GATEWAY';
+export const ACTOR_SYSTEM = 'SYSTEM';
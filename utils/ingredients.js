@@ -0,0 +1,185 @@
+import { BadRequestError } from '../errors/customError.js';
+
+export const CONSUME = 'CONSUME';
+export const RETURN = 'RETURN';
+
+export const INGREDIENT_UNITS = ['G', 'KG', 'ML', 'L', 'PCS'];
+
+export const isLowStock = (ingredient) =>
+  ingredient.stock <= ingredient.lowStockThreshold;
+
+// Keeps only the stored fields of each recipe entry.
+export const normalizeRecipe = (recipe = []) =>
+  recipe.map(({ ingredientId, quantity }) => ({ ingredientId, quantity }));
+
+const addRecipe = (usage, recipe = [], quantity) => {
+  recipe.forEach(({ ingredientId, quantity: perUnit }) => {
+    usage.set(
+      ingredientId,
+      (usage.get(ingredientId) ?? 0) + perUnit * quantity
+    );
+  });
+};
+
+/**
+ * Ingredient usage of the order lines, keyed by ingredient id. Recipes are
+ * read from the product as it is now; modifier recipes come from the option
+ * the line was ordered with, if the product still has it.
+ */
+export const ingredientUsage = (items) => {
+  const usage = new Map();
+
+  items.forEach(({ product, modifiers = [], quantity }) => {
+    addRecipe(usage, product.recipe, quantity);
+
+    const options = (product.modifierGroups ?? []).flatMap(
+      (group) => group.options
+    );
+    modifiers.forEach(({ optionId }) => {
+      const option = options.find((option) => option.id === optionId);
+      addRecipe(usage, option?.recipe, quantity);
+    });
+  });
+
+  return usage;
+};
+
+const changeIngredientStock = async (client, ingredientId, change) => {
+  return client.ingredient.update({
+    where: {
+      id: ingredientId,
+    },
+    data: {
+      stock: { increment: change },
+    },
+  });
+};
+
+/**
+ * Deducts the ingredients used by a paid order. Stock may go negative: the
+ * order is already paid, and a negative stock shows up in the low-stock
+ * report. The shortfall is noted on the movement. Runs once per transaction.
+ */
+export const consumeIngredients = async (client, { transactionId }) => {
+  const { count } = await client.transaction.updateMany({
+    where: {
+      id: transactionId,
+      ingredientsUsedAt: { isSet: false },
+    },
+    data: {
+      ingredientsUsedAt: new Date(),
+    },
+  });
+
+  if (!count) return;
+
+  const items = await client.transactionsItem.findMany({
+    where: {
+      transactionId,
+    },
+    include: {
+      product: true,
+    },
+  });
+
+  const usage = ingredientUsage(items);
+  // Recipe entries whose ingredient has been deleted are skipped.
+  const ingredients = await client.ingredient.findMany({
+    where: {
+      id: { in: [...usage.keys()] },
+    },
+  });
+
+  for (const ingredient of ingredients) {
+    const quantity = usage.get(ingredient.id);
+    const updated = await changeIngredientStock(
+      client,
+      ingredient.id,
+      -quantity
+    );
+    const shortfall = Math.min(quantity, -updated.stock);
+
+    await client.ingredientMovement.create({
+      data: {
+        ingredientId: ingredient.id,
+        type: CONSUME,
+        quantity,
+        change: -quantity,
+        stockAfter: updated.stock,
+        transactionId,
+        note:
+          shortfall > 0
+            ? `short by ${shortfall} ${ingredient.unit}`
+            : undefined,
+      },
+    });
+  }
+};
+
+/**
+ * Gives back the ingredients a paid order consumed, when it is refunded
+ * before anything was made. Records a RETURN movement per CONSUME movement.
+ * Runs once per transaction.
+ */
+export const returnIngredients = async (client, { transactionId }) => {
+  const movements = await client.ingredientMovement.findMany({
+    where: {
+      transactionId,
+    },
+  });
+
+  if (movements.some((movement) => movement.type === RETURN)) return;
+
+  const consumed = movements.filter((movement) => movement.type === CONSUME);
+
+  for (const movement of consumed) {
+    const updated = await changeIngredientStock(
+      client,
+      movement.ingredientId,
+      movement.quantity
+    );
+
+    await client.ingredientMovement.create({
+      data: {
+        ingredientId: movement.ingredientId,
+        type: RETURN,
+        quantity: movement.quantity,
+        change: movement.quantity,
+        stockAfter: updated.stock,
+        transactionId,
+      },
+    });
+  }
+};
+
+/**
+ * Manual stock change by an admin: RESTOCK adds `quantity`, ADJUST applies a
+ * signed correction such as a stock count. Only removals are checked against
+ * the stock, since paid orders may have taken it below zero.
+ */
+export const adjustIngredientStock = async (
+  client,
+  { ingredient, type, quantity, actorId = null, note = null }
+) => {
+  if (quantity < 0 && ingredient.stock + quantity < 0) {
+    throw new BadRequestError(
+      `cannot remove ${-quantity} ${ingredient.unit}, only ${ingredient.stock} in stock`
+    );
+  }
+
+  const updated = await changeIngredientStock(client, ingredient.id, quantity);
+
+  const movement = await client.ingredientMovement.create({
+    data: {
+      ingredientId: ingredient.id,
+      type,
+      quantity: Math.abs(quantity),
+      change: quantity,
+      stockAfter: updated.stock,
+      actorId,
+      note,
+    },
+  });
+
+  return { ingredient: updated, movement };
+};
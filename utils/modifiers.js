@@ -0,0 +1,84 @@
+import { nanoid } from 'nanoid';
+import { normalizeRecipe } from './ingredients.js';
+
+// Fills in defaults and ids for modifier groups sent by an admin. Existing
+// ids are kept so order lines keep pointing at the same options.
+export const normalizeModifierGroups = (groups) =>
+  groups.map((group) => {
+    const required = group.required ?? false;
+    const minSelect = group.minSelect ?? (required ? 1 : 0);
+
+    return {
+      id: group.id ?? nanoid(10),
+      name: group.name,
+      required,
+      minSelect: required ? Math.max(minSelect, 1) : minSelect,
+      maxSelect: group.maxSelect ?? 1,
+      options: group.options.map((option) => ({
+        id: option.id ?? nanoid(10),
+        name: option.name,
+        priceDelta: option.priceDelta ?? 0,
+        isAvailable: option.isAvailable ?? true,
+        recipe: normalizeRecipe(option.recipe),
+      })),
+    };
+  });
+
+/**
+ * Checks the option ids chosen for one order line against the product's
+ * modifier groups. A required group needs between minSelect and maxSelect
+ * options; an optional group may also be left empty.
+ */
+export const selectModifiers = (product, optionIds = []) => {
+  const errors = [];
+  const modifiers = [];
+  const matched = new Set();
+
+  if (new Set(optionIds).size !== optionIds.length) {
+    errors.push('duplicate modifier options');
+  }
+
+  for (const group of product.modifierGroups ?? []) {
+    const chosen = group.options.filter((option) =>
+      optionIds.includes(option.id)
+    );
+    chosen.forEach((option) => matched.add(option.id));
+
+    if (chosen.length === 0 && group.required) {
+      errors.push(`${group.name} is required`);
+    } else if (chosen.length > 0 && chosen.length < group.minSelect) {
+      errors.push(`choose at least ${group.minSelect} ${group.name}`);
+    }
+
+    if (chosen.length > group.maxSelect) {
+      errors.push(`choose at most ${group.maxSelect} ${group.name}`);
+    }
+
+    chosen
+      .filter((option) => !option.isAvailable)
+      .forEach((option) => errors.push(`${option.name} is not available`));
+
+    modifiers.push(
+      ...chosen.map((option) => ({
+        groupId: group.id,
+        groupName: group.name,
+        optionId: option.id,
+        optionName: option.name,
+        priceDelta: option.priceDelta,
+      }))
+    );
+  }
+
+  optionIds
+    .filter((optionId) => !matched.has(optionId))
+    .forEach((optionId) => errors.push(`unknown modifier option ${optionId}`));
+
+  return { modifiers, errors };
+};
+
+// Options may take money off, e.g. "no milk", but never below nothing.
+export const unitPriceWithModifiers = (price, modifiers) =>
+  Math.max(
+    modifiers.reduce((acc, modifier) => acc + modifier.priceDelta, price),
+    0
+  );
@@ -0,0 +1,77 @@
+import prisma from '../lib/prisma.js';
+import { publishEvent } from '../lib/events.js';
+import { PAID } from './constants.js';
+
+export const ORDER_CREATED = 'order.created';
+export const ORDER_PAID = 'order.paid';
+export const ORDER_STATUS_CHANGED = 'order.status_changed';
+export const ORDER_ITEM_UPDATED = 'order.item_updated';
+
+// The order as the kitchen display needs it. Items carry their category and
+// station so streams can be filtered per counter.
+const kitchenOrder = (transaction) => ({
+  id: transaction.id,
+  status: transaction.status,
+  customerName: transaction.customerName,
+  orderType: transaction.orderType,
+  customerTableNumber: transaction.customerTableNumber,
+  pickupAt: transaction.pickupAt,
+  createdAt: transaction.createdAt,
+  items: transaction.transactionsItems.map((item) => ({
+    id: item.id,
+    productId: item.productId,
+    productName: item.productName,
+    categoryId: item.product?.categoryId ?? null,
+    stationId: item.stationId,
+    quantity: item.quantity,
+    modifiers: item.modifiers.map((modifier) => modifier.optionName),
+    prepStatus: item.prepStatus,
+  })),
+});
+
+/**
+ * Publishes an order event to the kitchen streams. Call it after the
+ * database transaction has committed. Failures are logged, never thrown:
+ * the order itself has been saved.
+ */
+export const publishOrderEvent = async (type, transactionId, extra = {}) => {
+  try {
+    const transaction = await prisma.transaction.findUnique({
+      where: {
+        id: transactionId,
+      },
+      include: {
+        transactionsItems: {
+          include: {
+            product: {
+              select: {
+                categoryId: true,
+              },
+            },
+          },
+        },
+      },
+    });
+
+    if (!transaction) return;
+
+    await publishEvent({
+      type,
+      at: new Date(),
+      ...extra,
+      order: kitchenOrder(transaction),
+    });
+  } catch (error) {
+    console.log(
+      `failed to publish ${type} for ${transactionId}: ${error.message}`
+    );
+  }
+};
+
+// Takes the result of `changeTransactionStatus`.
+export const publishStatusChange = (transaction) =>
+  publishOrderEvent(
+    transaction.status === PAID ? ORDER_PAID : ORDER_STATUS_CHANGED,
+    transaction.id,
+    { previousStatus: transaction.previousStatus }
+  );
@@ -0,0 +1,125 @@
+import * as dotenv from 'dotenv';
+import { selectModifiers, unitPriceWithModifiers } from './modifiers.js';
+import { DELIVERY, TAKEAWAY } from './constants.js';
+
+dotenv.config();
+
+// Flat fees per order, in whole currency units. 0 turns a fee off.
+export const PACKAGING_FEE = Number(process.env.PACKAGING_FEE) || 0;
+export const DELIVERY_FEE = Number(process.env.DELIVERY_FEE) || 0;
+
+export const isOrderable = (product) =>
+  product.isAvailable && !product.deletedAt && product.category.isActive;
+
+const lineKey = (id, modifiers) =>
+  [id, ...modifiers.map((modifier) => modifier.optionId).sort()].join(':');
+
+/**
+ * Turns the requested order lines into priced lines. Every requested line is
+ * checked; problems are collected per line (by index in the request) rather
+ * than stopping at the first one. Lines for the same product with the same
+ * modifiers are merged.
+ */
+export const buildOrderLines = (requestedLines, productsFromDB) => {
+  const errors = [];
+  const lines = new Map();
+
+  requestedLines.forEach((requested, index) => {
+    const product = productsFromDB.find(
+      (product) => product.id === requested.id
+    );
+
+    if (!product) {
+      errors.push({ index, id: requested.id, msg: 'product not found' });
+      return;
+    }
+
+    if (!isOrderable(product)) {
+      errors.push({
+        index,
+        id: requested.id,
+        msg: `${product.name} is not available`,
+      });
+      return;
+    }
+
+    const { modifiers, errors: modifierErrors } = selectModifiers(
+      product,
+      requested.modifiers
+    );
+
+    if (modifierErrors.length > 0) {
+      errors.push(
+        ...modifierErrors.map((msg) => ({ index, id: requested.id, msg }))
+      );
+      return;
+    }
+
+    const key = lineKey(product.id, modifiers);
+    const existing = lines.get(key);
+
+    if (existing) {
+      existing.quantity += requested.quantity;
+      return;
+    }
+
+    const price = unitPriceWithModifiers(product.price, modifiers);
+
+    // Transaction.total is an Int and Midtrans only accepts whole amounts.
+    // Prices are validated as whole amounts, so this only catches products
+    // saved before that; charging a rounded price would go unnoticed.
+    if (!Number.isInteger(price)) {
+      errors.push({
+        index,
+        id: requested.id,
+        msg: `${product.name} has a price that is not a whole amount`,
+      });
+      return;
+    }
+
+    lines.set(key, {
+      product,
+      modifiers,
+      price,
+      quantity: requested.quantity,
+    });
+  });
+
+  return { lines: [...lines.values()], errors };
+};
+
+// Transaction.total is an Int and Midtrans only accepts whole amounts, so the
+// configured fees are rounded to whole currency units.
+const toWholeAmount = (amount) => Math.round(amount);
+
+// Takeaway and delivery orders are packed; delivery orders are also driven.
+export const orderFees = (orderType) => {
+  const fees = [];
+
+  if ([TAKEAWAY, DELIVERY].includes(orderType) && PACKAGING_FEE > 0) {
+    fees.push({
+      type: 'PACKAGING',
+      name: 'Packaging fee',
+      amount: toWholeAmount(PACKAGING_FEE),
+    });
+  }
+
+  if (orderType === DELIVERY && DELIVERY_FEE > 0) {
+    fees.push({
+      type: 'DELIVERY',
+      name: 'Delivery fee',
+      amount: toWholeAmount(DELIVERY_FEE),
+    });
+  }
+
+  return fees;
+};
+
+export const orderSubtotal = (lines) =>
+  lines.reduce((acc, line) => acc + line.quantity * line.price, 0);
+
+const sumAmounts = (entries) =>
+  entries.reduce((acc, entry) => acc + entry.amount, 0);
+
+export const orderTotal = (lines, fees = [], discounts = []) =>
+  orderSubtotal(lines) + sumAmounts(fees) - sumAmounts(discounts);
@@ -0,0 +1,128 @@
+import {
+  PENDING,
+  PAID,
+  PREPARING,
+  READY,
+  SERVED,
+  COMPLETED,
+  CANCELED,
+  REFUNDED,
+} from './constants.js';
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from '../errors/customError.js';
+import { commitStock, releaseStock } from './stock.js';
+import { consumeIngredients, returnIngredients } from './ingredients.js';
+import { releasePromotions } from './promotions.js';
+
+export const ORDER_STATUSES = [
+  PENDING,
+  PAID,
+  PREPARING,
+  READY,
+  SERVED,
+  COMPLETED,
+  CANCELED,
+  REFUNDED,
+];
+
+// Allowed next statuses for each order status. CANCELED and REFUNDED are
+// terminal; once money has been taken an order can only be refunded.
+export const ORDER_STATUS_TRANSITIONS = {
+  [PENDING]: [PAID, CANCELED],
+  [PAID]: [PREPARING, REFUNDED],
+  [PREPARING]: [READY, REFUNDED],
+  [READY]: [SERVED, COMPLETED, REFUNDED],
+  [SERVED]: [COMPLETED, REFUNDED],
+  [COMPLETED]: [REFUNDED],
+  [CANCELED]: [],
+  [REFUNDED]: [],
+};
+
+export const canTransition = (from, to) =>
+  ORDER_STATUS_TRANSITIONS[from]?.includes(to) ?? false;
+
+/**
+ * Moves a transaction to a new status and records it in the status history.
+ * On PAID the reserved stock is committed and recipe ingredients are
+ * deducted; on CANCELED the reserved stock and promo code uses are released.
+ * A refund of a PAID order puts its stock back on sale and returns its
+ * ingredients, since nothing was made yet; once preparation started both
+ * stay used. Promo code uses are released on every refund.
+ * Pass the client of a `prisma.$transaction` so all writes commit together.
+ * `availabilityChanged` on the result says a product was shown or hidden, so
+ * invalidate the menu after the transaction commits.
+ */
+export const changeTransactionStatus = async (
+  client,
+  { id, status, actor, actorId = null, note = null, data = {} }
+) => {
+  const transaction = await client.transaction.findUnique({
+    where: {
+      id,
+    },
+  });
+
+  if (!transaction) {
+    throw new NotFoundError(`no transaction with id ${id}`);
+  }
+
+  if (!canTransition(transaction.status, status)) {
+    throw new BadRequestError(
+      `cannot change transaction status from ${transaction.status} to ${status}`
+    );
+  }
+
+  // Guard on the status we read so a concurrent change is not overwritten.
+  const { count } = await client.transaction.updateMany({
+    where: {
+      id,
+      status: transaction.status,
+    },
+    data: {
+      ...data,
+      status,
+    },
+  });
+
+  if (!count) {
+    throw new ConflictError(`transaction ${id} was updated concurrently`);
+  }
+
+  await client.transactionStatusHistory.create({
+    data: {
+      transactionId: id,
+      fromStatus: transaction.status,
+      toStatus: status,
+      actor,
+      actorId,
+      note,
+    },
+  });
+
+  let availabilityChanged = false;
+
+  if (status === PAID) {
+    await commitStock(client, { transactionId: id });
+    await consumeIngredients(client, { transactionId: id });
+  } else if (status === CANCELED) {
+    availabilityChanged = await releaseStock(client, { transactionId: id });
+    await releasePromotions(client, { transactionId: id });
+  } else if (status === REFUNDED) {
+    if (transaction.status === PAID) {
+      availabilityChanged = await releaseStock(client, { transactionId: id });
+      await returnIngredients(client, { transactionId: id });
+    }
+    await releasePromotions(client, { transactionId: id });
+  }
+
+  return {
+    ...transaction,
+    ...data,
+    status,
+    previousStatus: transaction.status,
+    availabilityChanged,
+  };
+};
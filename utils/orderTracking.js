@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import * as dotenv from 'dotenv';
+import {
+  COMPLETED,
+  PAID,
+  PENDING,
+  PREPARING,
+  READY,
+  SERVED,
+} from './constants.js';
+
+dotenv.config();
+
+// Rough time from payment to the order being ready, used for the ETA shown
+// on the tracking page.
+export const ORDER_PREP_MINUTES = Number(process.env.ORDER_PREP_MINUTES) || 15;
+
+export const hashTrackingToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Returned once to the customer; only the hash is stored.
+export const createTrackingToken = () => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashTrackingToken(token) };
+};
+
+const reachedAt = (statusHistory, status) =>
+  statusHistory.find((history) => history.toStatus === status)?.createdAt ??
+  null;
+
+/**
+ * When the order is expected to be ready: payment time plus the usual
+ * preparation time while it is being made, the actual time once it is ready,
+ * and null if it was never paid.
+ */
+export const estimateReadyAt = ({ status, statusHistory }) => {
+  if ([READY, SERVED, COMPLETED].includes(status)) {
+    return reachedAt(statusHistory, READY) ?? reachedAt(statusHistory, status);
+  }
+
+  if ([PAID, PREPARING].includes(status)) {
+    const paidAt = reachedAt(statusHistory, PAID);
+    return paidAt && new Date(paidAt.getTime() + ORDER_PREP_MINUTES * 60000);
+  }
+
+  return null;
+};
+
+// What a customer with the tracking link may see: no names, emails or
+// phone numbers.
+export const reformTrackedOrder = (transaction) => ({
+  id: transaction.id,
+  status: transaction.status,
+  total: transaction.total,
+  orderType: transaction.orderType,
+  customerTableNumber: transaction.customerTableNumber,
+  pickupAt: transaction.pickupAt,
+  orderedAt: transaction.createdAt,
+  estimatedReadyAt: estimateReadyAt(transaction),
+  ...(transaction.status === PENDING && {
+    paymentDeadline: transaction.paymentDeadline,
+    snapRedirectUrl: transaction.snapRedirectUrl,
+  }),
+  products: transaction.transactionsItems.map((item) => ({
+    name: item.productName,
+    price: item.price,
+    quantity: item.quantity,
+    modifiers: item.modifiers.map((modifier) => modifier.optionName),
+  })),
+  fees: transaction.fees,
+  discounts: transaction.discounts,
+  statusHistory: transaction.statusHistory.map((history) => ({
+    status: history.toStatus,
+    at: history.createdAt,
+  })),
+});
@@ -0,0 +1,122 @@
+import * as dotenv from 'dotenv';
+import { ConflictError } from '../errors/customError.js';
+import { invalidateMenu } from '../lib/cache.js';
+import { ACTOR_SYSTEM, CANCELED, PENDING } from './constants.js';
+import { changeTransactionStatus } from './orderStatus.js';
+import { withLock } from './redisLock.js';
+import { publishStatusChange } from './orderEvents.js';
+
+dotenv.config();
+
+// How long a customer has to pay. The same duration is sent to Midtrans so
+// the payment page closes when the order expires.
+export const PAYMENT_DEADLINE_MINUTES =
+  Number(process.env.PAYMENT_DEADLINE_MINUTES) || 30;
+
+export const paymentDeadlineFrom = (date) =>
+  new Date(date.getTime() + PAYMENT_DEADLINE_MINUTES * 60 * 1000);
+
+const LOCK_KEY = 'lock:expire-pending-transactions';
+
+/**
+ * Creates the sweeper that cancels PENDING transactions whose payment
+ * deadline has passed, releasing their reserved stock. Only one instance
+ * sweeps at a time when a Redis client is given. `now` is injectable so
+ * tests can move the clock.
+ */
+export const createExpirySweeper = ({
+  prisma,
+  redis = null,
+  now = () => new Date(),
+  batchSize = 100,
+  lockTtlMs = 60 * 1000,
+}) => {
+  const expire = async (id) => {
+    try {
+      const transaction = await prisma.$transaction((tx) =>
+        changeTransactionStatus(tx, {
+          id,
+          status: CANCELED,
+          actor: ACTOR_SYSTEM,
+          note: 'payment deadline passed',
+        })
+      );
+      if (transaction.availabilityChanged) await invalidateMenu();
+      await publishStatusChange(transaction);
+      return true;
+    } catch (error) {
+      // Paid or canceled by someone else since it was read.
+      if (error instanceof ConflictError) return false;
+      throw error;
+    }
+  };
+
+  const expireOverdue = async () => {
+    const overdue = await prisma.transaction.findMany({
+      where: {
+        status: PENDING,
+        paymentDeadline: { lte: now() },
+      },
+      select: {
+        id: true,
+      },
+      orderBy: {
+        paymentDeadline: 'asc',
+      },
+      take: batchSize,
+    });
+
+    const expired = [];
+
+    for (const { id } of overdue) {
+      try {
+        if (await expire(id)) expired.push(id);
+      } catch (error) {
+        console.log(`failed to expire transaction ${id}: ${error.message}`);
+      }
+    }
+
+    return expired;
+  };
+
+  // Resolves to the ids of the expired transactions, or null when another
+  // instance holds the lock.
+  const sweep = async () => {
+    const { acquired, result } = await withLock(
+      redis,
+      LOCK_KEY,
+      lockTtlMs,
+      expireOverdue
+    );
+
+    return acquired ? result : null;
+  };
+
+  let timer = null;
+  let running = false;
+
+  const start = (intervalMs) => {
+    timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+
+      try {
+        const expired = await sweep();
+        if (expired?.length) {
+          console.log(`expired ${expired.length} unpaid transactions`);
+        }
+      } catch (error) {
+        console.log(`payment expiry sweep failed: ${error.message}`);
+      } finally {
+        running = false;
+      }
+    }, intervalMs);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { sweep, start, stop };
+};
@@ -0,0 +1,133 @@
+import { BadRequestError, NotFoundError } from '../errors/customError.js';
+import {
+  ACTOR_STAFF,
+  ACTOR_SYSTEM,
+  PAID,
+  PREPARING,
+  READY,
+} from './constants.js';
+import { changeTransactionStatus } from './orderStatus.js';
+
+export const QUEUED = 'QUEUED';
+export const IN_PROGRESS = 'IN_PROGRESS';
+export const DONE = 'DONE';
+
+export const PREP_STATUSES = [QUEUED, IN_PROGRESS, DONE];
+
+// A finished item can be reopened while the rest of the order is still
+// being made, e.g. when a drink has to be remade.
+const PREP_TRANSITIONS = {
+  [QUEUED]: [IN_PROGRESS, DONE],
+  [IN_PROGRESS]: [QUEUED, DONE],
+  [DONE]: [IN_PROGRESS],
+};
+
+// Orders whose items the kitchen works on.
+export const IN_KITCHEN = [PAID, PREPARING];
+
+/**
+ * Moves one order item to `prepStatus`. Starting an item moves a PAID order
+ * to PREPARING, and finishing the last one moves it to READY. Returns the
+ * item, the order as it is now and the status changes made. Pass the client
+ * of a `prisma.$transaction`.
+ */
+export const changeItemPrepStatus = async (
+  client,
+  { transactionId, itemId, prepStatus, actorId }
+) => {
+  const item = await client.transactionsItem.findFirst({
+    where: {
+      id: itemId,
+      transactionId,
+    },
+  });
+
+  if (!item) {
+    throw new NotFoundError(`no item with id ${itemId} in this order`);
+  }
+
+  if (!PREP_TRANSITIONS[item.prepStatus].includes(prepStatus)) {
+    throw new BadRequestError(
+      `cannot move item from ${item.prepStatus} to ${prepStatus}`
+    );
+  }
+
+  // Writing the order first makes concurrent updates of its items conflict,
+  // so whichever finishes the last item sees all the others done.
+  const { count } = await client.transaction.updateMany({
+    where: {
+      id: transactionId,
+      status: { in: IN_KITCHEN },
+    },
+    data: {
+      updatedAt: new Date(),
+    },
+  });
+
+  if (!count) {
+    throw new BadRequestError('order is not being prepared');
+  }
+
+  const now = new Date();
+  const updated = await client.transactionsItem.update({
+    where: {
+      id: itemId,
+    },
+    data: {
+      prepStatus,
+      prepStartedAt: prepStatus === QUEUED ? null : (item.prepStartedAt ?? now),
+      prepDoneAt: prepStatus === DONE ? now : null,
+    },
+  });
+
+  const changes = [];
+  const transaction = await client.transaction.findUnique({
+    where: {
+      id: transactionId,
+    },
+  });
+
+  if (transaction.status === PAID && prepStatus !== QUEUED) {
+    changes.push(
+      await changeTransactionStatus(client, {
+        id: transactionId,
+        status: PREPARING,
+        actor: ACTOR_STAFF,
+        actorId,
+        note: 'kitchen started the order',
+      })
+    );
+  }
+
+  const remaining = await client.transactionsItem.count({
+    where: {
+      transactionId,
+      prepStatus: { not: DONE },
+    },
+  });
+
+  if (remaining === 0) {
+    changes.push(
+      await changeTransactionStatus(client, {
+        id: transactionId,
+        status: READY,
+        actor: ACTOR_SYSTEM,
+        note: 'all items are done',
+      })
+    );
+  }
+
+  return { item: updated, transaction: changes.at(-1) ?? transaction, changes };
+};
+
+// MongoDB aborts one of two transactions that write the same order; the
+// aborted one is simply run again.
+export const retryOnWriteConflict = async (fn, attempts = 3) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.code !== 'P2034' || attempt >= attempts) throw error;
+    }
+  }
+};
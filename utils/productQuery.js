@@ -0,0 +1,113 @@
+export const PRODUCT_SORT_FIELDS = ['price', 'name', 'createdAt'];
+
+const DEFAULT_LIMIT = 20;
+
+// Products customers may see and order. Admins also see unavailable and
+// soft-deleted products, and products in inactive categories.
+export const customerVisible = {
+  isAvailable: true,
+  deletedAt: {
+    isSet: false,
+  },
+  category: {
+    is: {
+      isActive: true,
+    },
+  },
+};
+
+export const includeCategory = {
+  category: {
+    select: {
+      id: true,
+      name: true,
+      slug: true,
+    },
+  },
+};
+
+// The fields customers get, leaving out stock, recipes and other internals.
+// Customer responses are cached and shared, so nothing else may leak in.
+export const customerSelect = {
+  id: true,
+  name: true,
+  image: true,
+  categoryId: true,
+  description: true,
+  price: true,
+  isAvailable: true,
+  modifierGroups: {
+    select: {
+      id: true,
+      name: true,
+      required: true,
+      minSelect: true,
+      maxSelect: true,
+      options: {
+        select: {
+          id: true,
+          name: true,
+          priceDelta: true,
+          isAvailable: true,
+        },
+      },
+    },
+  },
+  ...includeCategory,
+};
+
+// Admins get whole products, customers only what the menu shows.
+export const productFields = (admin) =>
+  admin ? { include: includeCategory } : { select: customerSelect };
+
+// Newest first by default; price and name read naturally ascending.
+const defaultOrder = (sort) => (sort === 'createdAt' ? 'desc' : 'asc');
+
+export const buildProductQuery = (query) => {
+  const page = query.page ?? 1;
+  const limit = query.limit ?? DEFAULT_LIMIT;
+  const sort = query.sort ?? 'createdAt';
+  const order = query.order ?? defaultOrder(sort);
+
+  const where = {};
+
+  if (query.category) {
+    where.category = { is: { slug: query.category } };
+  }
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    where.price = {
+      gte: query.minPrice,
+      lte: query.maxPrice,
+    };
+  }
+
+  if (query.q) {
+    where.OR = [
+      { name: { contains: query.q, mode: 'insensitive' } },
+      { description: { contains: query.q, mode: 'insensitive' } },
+    ];
+  }
+
+  return {
+    where,
+    orderBy: { [sort]: order },
+    skip: (page - 1) * limit,
+    take: limit,
+    page,
+    limit,
+  };
+};
+
+export const paginationMeta = ({ total, page, limit }) => {
+  const pages = Math.ceil(total / limit);
+
+  return {
+    total,
+    page,
+    limit,
+    pages,
+    next: page < pages ? page + 1 : null,
+    prev: page > 1 ? Math.min(page - 1, Math.max(pages, 1)) : null,
+  };
+};
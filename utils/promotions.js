@@ -0,0 +1,303 @@
+import * as dotenv from 'dotenv';
+import { BadRequestError } from '../errors/customError.js';
+import { orderSubtotal } from './orderPricing.js';
+
+dotenv.config();
+
+export const PERCENTAGE = 'PERCENTAGE';
+export const FIXED = 'FIXED';
+export const BUY_X_GET_Y = 'BUY_X_GET_Y';
+
+export const PROMOTION_TYPES = [PERCENTAGE, FIXED, BUY_X_GET_Y];
+
+// Schedules are written in the shop's local time, not the server's.
+export const PROMO_TIMEZONE = process.env.PROMO_TIMEZONE || 'Asia/Jakarta';
+
+export const normalizePromoCode = (code) => String(code).trim().toUpperCase();
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const localTime = (date) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: PROMO_TIMEZONE,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    time: `${parts.hour}:${parts.minute}`,
+  };
+};
+
+// A slot whose end is before its start runs past midnight, e.g. 22:00-02:00.
+// The days of such a slot are the days it starts on.
+const inSlot = ({ days, startTime, endTime }, { day, time }) => {
+  const dayOk = (d) => days.length === 0 || days.includes(d);
+
+  if (startTime <= endTime) {
+    return dayOk(day) && time >= startTime && time < endTime;
+  }
+
+  return (
+    (dayOk(day) && time >= startTime) ||
+    (dayOk((day + 6) % 7) && time < endTime)
+  );
+};
+
+export const isWithinSchedule = (promotion, now) => {
+  if (promotion.schedule.length === 0) return true;
+
+  const local = localTime(now);
+  return promotion.schedule.some((slot) => inSlot(slot, local));
+};
+
+const isInScope = (promotion, product) => {
+  const { productIds, categoryIds } = promotion;
+
+  if (productIds.length === 0 && categoryIds.length === 0) return true;
+
+  return (
+    productIds.includes(product.id) || categoryIds.includes(product.categoryId)
+  );
+};
+
+// For every buyQuantity + getQuantity units the cheapest getQuantity are
+// discounted, so customers cannot pick the most expensive item as the free one.
+const buyXGetYDiscount = (promotion, lines) => {
+  const units = lines
+    .flatMap((line) => Array(line.quantity).fill(line.price))
+    .sort((a, b) => a - b);
+  const groupSize = promotion.buyQuantity + promotion.getQuantity;
+  const freeUnits =
+    Math.floor(units.length / groupSize) * promotion.getQuantity;
+  const percent = promotion.value ?? 100;
+
+  return units
+    .slice(0, freeUnits)
+    .reduce((acc, price) => acc + Math.round((price * percent) / 100), 0);
+};
+
+/**
+ * The amount `promotion` takes off the priced order lines, never more than
+ * the lines it applies to. Only the items are discounted, not the fees.
+ */
+export const calculateDiscount = (promotion, lines) => {
+  const eligible = lines.filter((line) => isInScope(promotion, line.product));
+  const eligibleSubtotal = orderSubtotal(eligible);
+
+  let amount = 0;
+
+  if (promotion.type === PERCENTAGE) {
+    amount = Math.round((eligibleSubtotal * promotion.value) / 100);
+    if (promotion.maxDiscount !== null) {
+      amount = Math.min(amount, promotion.maxDiscount);
+    }
+  } else if (promotion.type === FIXED) {
+    amount = Math.round(promotion.value);
+  } else if (promotion.type === BUY_X_GET_Y) {
+    amount = buyXGetYDiscount(promotion, eligible);
+  }
+
+  return Math.min(amount, eligibleSubtotal);
+};
+
+// What keeps the promotion from being used now, ignoring usage limits.
+const unavailableReason = (promotion, now) => {
+  if (!promotion.isActive) return 'this code is no longer valid';
+  if (promotion.startsAt && now < promotion.startsAt) {
+    return 'this code is not valid yet';
+  }
+  if (promotion.endsAt && now >= promotion.endsAt) {
+    return 'this code has expired';
+  }
+  if (!isWithinSchedule(promotion, now)) {
+    return 'this code is not valid at this time';
+  }
+  return null;
+};
+
+const customerRedemptions = (client, promotion, customerEmail) =>
+  client.promotionRedemption.count({
+    where: {
+      promotionId: promotion.id,
+      customerEmail: normalizeEmail(customerEmail),
+      releasedAt: { isSet: false },
+    },
+  });
+
+/**
+ * Looks up `code` and works out its discount on the priced order lines.
+ * Throws a BadRequestError saying why when it cannot be used. Pass
+ * `customerEmail` to check the per-customer limit. The limits are checked
+ * again by `redeemPromotion` when the order is saved.
+ */
+export const applyPromotion = async (
+  client,
+  { code, lines, customerEmail, now = new Date() }
+) => {
+  const promotion = await client.promotion.findUnique({
+    where: {
+      code: normalizePromoCode(code),
+    },
+  });
+
+  if (!promotion) {
+    throw new BadRequestError('invalid promo code');
+  }
+
+  const reason = unavailableReason(promotion, now);
+
+  if (reason) {
+    throw new BadRequestError(reason);
+  }
+
+  if (
+    promotion.usageLimit !== null &&
+    promotion.usedCount >= promotion.usageLimit
+  ) {
+    throw new BadRequestError('this code has been fully used');
+  }
+
+  if (
+    promotion.perCustomerLimit !== null &&
+    customerEmail &&
+    (await customerRedemptions(client, promotion, customerEmail)) >=
+      promotion.perCustomerLimit
+  ) {
+    throw new BadRequestError('you have already used this code');
+  }
+
+  if (
+    promotion.minSpend !== null &&
+    orderSubtotal(lines) < promotion.minSpend
+  ) {
+    throw new BadRequestError(
+      `spend at least ${promotion.minSpend} to use this code`
+    );
+  }
+
+  const amount = calculateDiscount(promotion, lines);
+
+  if (amount <= 0) {
+    throw new BadRequestError('no items in this order qualify for this code');
+  }
+
+  return {
+    promotion,
+    discount: {
+      promotionId: promotion.id,
+      code: promotion.code,
+      name: promotion.name,
+      amount,
+    },
+  };
+};
+
+/**
+ * Records the use of a promotion by an order. Throws if the code was used up
+ * in the meantime, which rolls back the surrounding `prisma.$transaction`.
+ * Concurrent redemptions of the same code write the same promotion, so
+ * MongoDB lets only one of them commit. Orders redeem their code before the
+ * payment gateway is asked for a token, and are canceled, releasing the code,
+ * if no token is issued.
+ */
+export const redeemPromotion = async (
+  client,
+  { promotion, discount, transactionId, customerEmail }
+) => {
+  const updated = await client.promotion.update({
+    where: {
+      id: promotion.id,
+    },
+    data: {
+      usedCount: { increment: 1 },
+    },
+  });
+
+  if (updated.usageLimit !== null && updated.usedCount > updated.usageLimit) {
+    throw new BadRequestError('this code has been fully used');
+  }
+
+  if (
+    updated.perCustomerLimit !== null &&
+    (await customerRedemptions(client, updated, customerEmail)) >=
+      updated.perCustomerLimit
+  ) {
+    throw new BadRequestError('you have already used this code');
+  }
+
+  await client.promotionRedemption.create({
+    data: {
+      promotionId: promotion.id,
+      transactionId,
+      customerEmail: normalizeEmail(customerEmail),
+      amount: discount.amount,
+    },
+  });
+};
+
+// The order was canceled, expired or refunded, so its codes can be used again.
+export const releasePromotions = async (client, { transactionId }) => {
+  const redemptions = await client.promotionRedemption.findMany({
+    where: {
+      transactionId,
+      releasedAt: { isSet: false },
+    },
+  });
+
+  for (const redemption of redemptions) {
+    await client.promotionRedemption.update({
+      where: { id: redemption.id },
+      data: { releasedAt: new Date() },
+    });
+    await client.promotion.update({
+      where: { id: redemption.promotionId },
+      data: { usedCount: { decrement: 1 } },
+    });
+  }
+};
+
+/**
+ * The problems with a promotion as it would be saved, for the rules that
+ * depend on its type or on several fields. Empty when it is valid.
+ */
+export const promotionErrors = (promotion) => {
+  const errors = [];
+  const { type, value } = promotion;
+
+  if (type === PERCENTAGE && !(value > 0 && value <= 100)) {
+    errors.push('a percentage promotion needs a value between 0 and 100');
+  }
+  if (type === FIXED && !(value > 0)) {
+    errors.push('a fixed promotion needs a value greater than 0');
+  }
+  if (type === BUY_X_GET_Y) {
+    if (!promotion.buyQuantity || !promotion.getQuantity) {
+      errors.push('a buy X get Y promotion needs buyQuantity and getQuantity');
+    }
+    if (value !== null && value !== undefined && value > 100) {
+      errors.push('value of a buy X get Y promotion is a percentage up to 100');
+    }
+  }
+  if (
+    promotion.startsAt &&
+    promotion.endsAt &&
+    promotion.startsAt >= promotion.endsAt
+  ) {
+    errors.push('endsAt must be after startsAt');
+  }
+  if (promotion.schedule?.some((slot) => slot.startTime === slot.endTime)) {
+    errors.push('schedule slots must not start and end at the same time');
+  }
+
+  return errors;
+};
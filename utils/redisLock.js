@@ -0,0 +1,43 @@
+import { nanoid } from 'nanoid';
+
+// Deletes the key only if it still holds our token, so a lock that expired
+// and was taken by another instance is left alone.
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Runs `fn` while holding `key` in Redis and returns `{ acquired, result }`.
+ * `acquired` is false, and `fn` is not called, when another instance holds
+ * the lock. The lock expires after `ttlMs` in case the holder dies. Without a
+ * Redis client, or while Redis cannot be reached, `fn` runs unlocked, so
+ * `fn` must be safe to run on several instances at once.
+ */
+export const withLock = async (redis, key, ttlMs, fn) => {
+  if (!redis) {
+    return { acquired: true, result: await fn() };
+  }
+
+  const token = nanoid();
+  let locked;
+
+  try {
+    locked = await redis.set(key, token, 'PX', ttlMs, 'NX');
+  } catch (error) {
+    console.log(`lock ${key}: ${error.message}, running unlocked`);
+    return { acquired: true, result: await fn() };
+  }
+
+  if (!locked) {
+    return { acquired: false };
+  }
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    await redis.eval(RELEASE_SCRIPT, 1, key, token).catch(() => {});
+  }
+};
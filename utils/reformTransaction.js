@@ -6,16 +6,36 @@ export const reformTransaction = (transaction) => {
     customerName: transaction.customerName,
     customerEmail: transaction.customerEmail,
     customerPhone: transaction.customerPhone,
+    orderType: transaction.orderType,
     customerTableNumber: transaction.customerTableNumber,
+    pickupAt: transaction.pickupAt,
+    deliveryAddress: transaction.deliveryAddress,
+    fees: transaction.fees,
+    promoCode: transaction.promoCode,
+    discounts: transaction.discounts,
     snapToken: transaction.snapToken,
     snapRedirectUrl: transaction.snapRedirectUrl,
     paymentMethod: transaction.paymentMethod,
+    paymentDeadline: transaction.paymentDeadline,
     products: transaction.transactionsItems.map((transactionItem) => ({
       id: transactionItem.productId,
       name: transactionItem.productName,
       price: transactionItem.price,
       quantity: transactionItem.quantity,
       image: transactionItem.product.image,
+      modifiers: transactionItem.modifiers,
+      stationId: transactionItem.stationId,
+      prepStatus: transactionItem.prepStatus,
     })),
+    ...(transaction.statusHistory && {
+      statusHistory: transaction.statusHistory.map((history) => ({
+        fromStatus: history.fromStatus,
+        toStatus: history.toStatus,
+        actor: history.actor,
+        actorId: history.actorId,
+        note: history.note,
+        createdAt: history.createdAt,
+      })),
+    }),
   };
 };
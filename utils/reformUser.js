@@ -0,0 +1,13 @@
+export const reformUser = (user) => {
+  return {
+    id: user.id,
+    name: user.name,
+    image: user.image,
+    email: user.email,
+    role: user.role,
+    isActive: user.isActive,
+    emailVerifiedAt: user.emailVerifiedAt,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  };
+};
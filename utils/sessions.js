@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import * as dotenv from 'dotenv';
+import prisma from '../lib/prisma.js';
+import { UnauthenticatedError } from '../errors/customError.js';
+
+dotenv.config();
+
+export const REFRESH_TOKEN_TTL_DAYS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashSecret = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are `<session id>.<secret>`; only the hash of the secret
+// is stored.
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken ?? '').split('.');
+
+  if (!/^[a-f0-9]{24}$/.test(sessionId) || !secret) return null;
+  return { sessionId, secret };
+};
+
+const isActiveSession = (session) =>
+  Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+
+export const createSession = async ({ user, userAgent, ip }) => {
+  const secret = newSecret();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashSecret(secret),
+      userAgent,
+      ip,
+      expiresAt: refreshExpiry(),
+    },
+  });
+
+  return { session, refreshToken: `${session.id}.${secret}` };
+};
+
+// Used by the auth middleware on every request, so that revoked sessions
+// lose their access tokens at once.
+export const findActiveSession = async (sessionId) => {
+  const session = await prisma.session.findUnique({
+    where: {
+      id: sessionId,
+    },
+  });
+
+  return isActiveSession(session) ? session : null;
+};
+
+/**
+ * Exchanges a refresh token for a new one on the same session. A token that
+ * was already rotated means it was copied, so the whole session is revoked.
+ */
+export const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+
+  if (!parsed) {
+    throw new UnauthenticatedError('invalid refresh token');
+  }
+
+  const session = await prisma.session.findUnique({
+    where: {
+      id: parsed.sessionId,
+    },
+    include: {
+      user: true,
+    },
+  });
+
+  if (!isActiveSession(session)) {
+    throw new UnauthenticatedError('session expired, please log in again');
+  }
+
+  const presented = Buffer.from(hashSecret(parsed.secret));
+  const stored = Buffer.from(session.refreshTokenHash);
+
+  if (!crypto.timingSafeEqual(presented, stored)) {
+    await revokeSession(session.id);
+    throw new UnauthenticatedError('refresh token reused, please log in again');
+  }
+
+  if (!session.user.isActive) {
+    await revokeSession(session.id);
+    throw new UnauthenticatedError('Account is deactivated');
+  }
+
+  const secret = newSecret();
+
+  // Guarded on the old hash so two concurrent refreshes cannot both win.
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: session.id,
+      refreshTokenHash: session.refreshTokenHash,
+    },
+    data: {
+      refreshTokenHash: hashSecret(secret),
+      expiresAt: refreshExpiry(),
+      lastUsedAt: new Date(),
+    },
+  });
+
+  if (!count) {
+    throw new UnauthenticatedError('refresh token reused, please log in again');
+  }
+
+  return {
+    session,
+    user: session.user,
+    refreshToken: `${session.id}.${secret}`,
+  };
+};
+
+export const revokeSession = async (sessionId) => {
+  await prisma.session.updateMany({
+    where: {
+      id: sessionId,
+      revokedAt: { isSet: false },
+    },
+    data: {
+      revokedAt: new Date(),
+    },
+  });
+};
+
+// Ignores tokens that do not match their session, so a session id alone
+// cannot sign someone else out.
+export const revokeRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return;
+
+  await prisma.session.updateMany({
+    where: {
+      id: parsed.sessionId,
+      refreshTokenHash: hashSecret(parsed.secret),
+      revokedAt: { isSet: false },
+    },
+    data: {
+      revokedAt: new Date(),
+    },
+  });
+};
+
+// Signs the user out everywhere, e.g. when the account is deactivated, or
+// everywhere but `except`, the session making the request.
+export const revokeUserSessions = async (userId, { except } = {}) => {
+  await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: { isSet: false },
+      NOT: except ? { id: except } : undefined,
+    },
+    data: {
+      revokedAt: new Date(),
+    },
+  });
+};
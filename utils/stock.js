@@ -0,0 +1,279 @@
+import { BadRequestError } from '../errors/customError.js';
+
+export const RESERVE = 'RESERVE';
+export const COMMIT = 'COMMIT';
+export const RELEASE = 'RELEASE';
+export const RESTOCK = 'RESTOCK';
+export const ADJUST = 'ADJUST';
+
+export const STOCK_RESERVED = 'RESERVED';
+export const STOCK_COMMITTED = 'COMMITTED';
+export const STOCK_RELEASED = 'RELEASED';
+
+// A product with `stock: null` is never out of stock.
+export const isStockTracked = (product) =>
+  product.stock !== null && product.stock !== undefined;
+
+// Total quantity per product, since one order can hold the same product on
+// several lines with different modifiers.
+const quantitiesByProduct = (lines) => {
+  const quantities = new Map();
+
+  lines.forEach(({ product, quantity }) => {
+    const entry = quantities.get(product.id) ?? { product, quantity: 0 };
+    entry.quantity += quantity;
+    quantities.set(product.id, entry);
+  });
+
+  return [...quantities.values()];
+};
+
+/**
+ * Compares the order against the stock that was read with the products. Used
+ * to fail fast before asking the payment gateway for a token; the actual
+ * reservation in `reserveStock` is the authoritative check.
+ */
+export const findStockShortages = (lines) =>
+  quantitiesByProduct(lines)
+    .filter(
+      ({ product, quantity }) =>
+        isStockTracked(product) && product.stock < quantity
+    )
+    .map(({ product }) => ({
+      id: product.id,
+      msg: `only ${product.stock} ${product.name} left`,
+    }));
+
+// Products are hidden automatically when they sell out and shown again when
+// stock comes back, unless an admin hid them or they were deleted in the
+// meantime. `soldOutAt` tells the two kinds of hidden apart. Resolves to the
+// product as it is after the change and whether it was hidden or shown.
+const syncAvailability = async (client, product, stockBefore) => {
+  if (product.stock === 0 && product.isAvailable) {
+    const updated = await client.product.update({
+      where: { id: product.id },
+      data: { isAvailable: false, soldOutAt: new Date() },
+    });
+    return { product: updated, availabilityChanged: true };
+  }
+
+  if (
+    stockBefore === 0 &&
+    product.stock > 0 &&
+    product.soldOutAt &&
+    !product.deletedAt
+  ) {
+    const updated = await client.product.update({
+      where: { id: product.id },
+      data: { isAvailable: true, soldOutAt: null },
+    });
+    return { product: updated, availabilityChanged: true };
+  }
+
+  return { product, availabilityChanged: false };
+};
+
+// Resolves to null when the guard failed, otherwise like `syncAvailability`.
+const changeStock = async (client, productId, change) => {
+  // The guard keeps concurrent orders from taking stock below zero.
+  const { count } = await client.product.updateMany({
+    where: {
+      id: productId,
+      stock: change < 0 ? { gte: -change } : { not: null },
+    },
+    data: {
+      stock: { increment: change },
+    },
+  });
+
+  if (!count) return null;
+
+  const product = await client.product.findUnique({
+    where: { id: productId },
+  });
+
+  return syncAvailability(client, product, product.stock - change);
+};
+
+/**
+ * Takes stock for every tracked product in the order and records a RESERVE
+ * movement per product. Throws if any product ran out in the meantime, which
+ * rolls back the surrounding `prisma.$transaction`. Resolves to whether a
+ * product sold out, so the caller can invalidate the menu once committed.
+ */
+export const reserveStock = async (client, { transactionId, lines }) => {
+  const errors = [];
+  let availabilityChanged = false;
+
+  for (const { product, quantity } of quantitiesByProduct(lines)) {
+    if (!isStockTracked(product)) continue;
+
+    const changed = await changeStock(client, product.id, -quantity);
+
+    if (!changed) {
+      errors.push({ id: product.id, msg: `${product.name} is out of stock` });
+      continue;
+    }
+
+    const updated = changed.product;
+    availabilityChanged ||= changed.availabilityChanged;
+
+    await client.stockMovement.create({
+      data: {
+        productId: product.id,
+        type: RESERVE,
+        quantity,
+        change: -quantity,
+        stockAfter: updated.stock,
+        transactionId,
+      },
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new BadRequestError('some products are out of stock', errors);
+  }
+
+  await client.transaction.update({
+    where: { id: transactionId },
+    data: { stockStatus: STOCK_RESERVED },
+  });
+
+  return availabilityChanged;
+};
+
+const reservationsOf = (client, transactionId) =>
+  client.stockMovement.findMany({
+    where: { transactionId, type: RESERVE },
+  });
+
+// Moves the reservation from one of the `from` statuses to `stockStatus`, or
+// returns false if it is in none of them, e.g. because it was released.
+const closeReservation = async (client, transactionId, from, stockStatus) => {
+  const { count } = await client.transaction.updateMany({
+    where: { id: transactionId, stockStatus: { in: from } },
+    data: { stockStatus },
+  });
+
+  return count > 0;
+};
+
+// The order was paid, so the reserved stock is sold for good.
+export const commitStock = async (client, { transactionId }) => {
+  if (
+    !(await closeReservation(
+      client,
+      transactionId,
+      [STOCK_RESERVED],
+      STOCK_COMMITTED
+    ))
+  ) {
+    return;
+  }
+
+  for (const reservation of await reservationsOf(client, transactionId)) {
+    await client.stockMovement.create({
+      data: {
+        productId: reservation.productId,
+        type: COMMIT,
+        quantity: reservation.quantity,
+        change: 0,
+        stockAfter: reservation.stockAfter,
+        transactionId,
+      },
+    });
+  }
+};
+
+// The order was canceled or expired, or refunded before it was prepared, so
+// its stock goes back on sale. Stock already committed is released too.
+// Resolves to whether a sold out product is shown again.
+export const releaseStock = async (client, { transactionId }) => {
+  if (
+    !(await closeReservation(
+      client,
+      transactionId,
+      [STOCK_RESERVED, STOCK_COMMITTED],
+      STOCK_RELEASED
+    ))
+  ) {
+    return false;
+  }
+
+  let availabilityChanged = false;
+
+  for (const reservation of await reservationsOf(client, transactionId)) {
+    const changed = await changeStock(
+      client,
+      reservation.productId,
+      reservation.quantity
+    );
+
+    // Stock tracking was switched off for the product since the order.
+    if (!changed) continue;
+
+    const updated = changed.product;
+    availabilityChanged ||= changed.availabilityChanged;
+
+    await client.stockMovement.create({
+      data: {
+        productId: reservation.productId,
+        type: RELEASE,
+        quantity: reservation.quantity,
+        change: reservation.quantity,
+        stockAfter: updated.stock,
+        transactionId,
+      },
+    });
+  }
+
+  return availabilityChanged;
+};
+
+/**
+ * Manual stock change by an admin. RESTOCK adds `quantity`; ADJUST applies a
+ * signed correction, e.g. -2 for spoiled items. Stock never goes below zero.
+ */
+export const adjustStock = async (
+  client,
+  { product, type, quantity, actorId = null, note = null }
+) => {
+  const change = quantity;
+  const stockBefore = product.stock ?? 0;
+
+  if (stockBefore + change < 0) {
+    throw new BadRequestError(
+      `cannot remove ${-change}, only ${stockBefore} in stock`
+    );
+  }
+
+  // Restocking an untracked product starts tracking it from zero.
+  if (!isStockTracked(product)) {
+    await client.product.update({
+      where: { id: product.id },
+      data: { stock: 0 },
+    });
+  }
+
+  const changed = await changeStock(client, product.id, change);
+
+  if (!changed) {
+    throw new BadRequestError(`cannot remove ${-change} from stock`);
+  }
+
+  const updated = changed.product;
+
+  const movement = await client.stockMovement.create({
+    data: {
+      productId: product.id,
+      type,
+      quantity: Math.abs(change),
+      change,
+      stockAfter: updated.stock,
+      actorId,
+      note,
+    },
+  });
+
+  return { product: updated, movement };
+};
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import * as dotenv from 'dotenv';
+import { BadRequestError } from '../errors/customError.js';
+import { appLink } from './appUrl.js';
+
+dotenv.config();
+
+export const QR_FORMATS = ['png', 'svg'];
+
+const secret = () => process.env.TABLE_QR_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', secret()).update(payload).digest('base64url');
+
+/**
+ * The token printed in a table's QR code: `<table id>.<qrVersion>.<signature>`.
+ * Bumping the table's `qrVersion` invalidates codes printed before.
+ */
+export const createTableToken = (table) => {
+  const payload = `${table.id}.${table.qrVersion}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+// Returns `{ tableId, qrVersion }`, or null when the signature is wrong.
+export const verifyTableToken = (token) => {
+  const [tableId, version, signature] = String(token ?? '').split('.');
+  if (!tableId || !version || !signature) return null;
+
+  const expected = Buffer.from(sign(`${tableId}.${version}`));
+  const actual = Buffer.from(signature);
+
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  return { tableId, qrVersion: Number(version) };
+};
+
+// Where the QR code sends the customer; the frontend pre-fills the table.
+export const tableOrderUrl = (table) =>
+  appLink('order', { table: createTableToken(table) });
+
+/**
+ * Finds the active table an order is placed at, from the scanned QR token
+ * or else the table number typed in. Pass the Prisma client.
+ */
+export const findOrderTable = async (client, { tableToken, tableNumber }) => {
+  if (tableToken !== undefined) {
+    const verified = verifyTableToken(tableToken);
+    const table =
+      verified &&
+      (await client.table.findUnique({ where: { id: verified.tableId } }));
+
+    // An old code, e.g. one that was copied before the table's was reprinted.
+    if (!table || table.qrVersion !== verified.qrVersion) {
+      throw new BadRequestError('invalid table code, scan the table QR again');
+    }
+    if (!table.isActive) {
+      throw new BadRequestError(`table ${table.number} is not in use`);
+    }
+
+    return table;
+  }
+
+  const table = await client.table.findUnique({
+    where: { number: tableNumber },
+  });
+
+  if (!table) {
+    throw new BadRequestError(`no table with number ${tableNumber}`);
+  }
+  if (!table.isActive) {
+    throw new BadRequestError(`table ${table.number} is not in use`);
+  }
+
+  return table;
+};
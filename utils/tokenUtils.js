@@ -3,8 +3,12 @@ import * as dotenv from 'dotenv';
 
 dotenv.config();
 
+// Access tokens are short-lived; clients renew them through /auth/refresh.
+export const ACCESS_TOKEN_TTL_MINUTES =
+  Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+
 export const createJWT = (payload) => {
-  const expirationTime = 24 * 60 * 60;
+  const expirationTime = ACCESS_TOKEN_TTL_MINUTES * 60;
 
   const token = jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: expirationTime,
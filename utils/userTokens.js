@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+import { BadRequestError } from '../errors/customError.js';
+
+export const PASSWORD_RESET = 'PASSWORD_RESET';
+export const EMAIL_VERIFICATION = 'EMAIL_VERIFICATION';
+
+export const TOKEN_TTL_MINUTES = {
+  [PASSWORD_RESET]: 30,
+  [EMAIL_VERIFICATION]: 24 * 60,
+};
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issues a new emailed token for the user and returns it in plain text.
+ * Older unused tokens of the same type stop working, so only the latest
+ * email is valid.
+ */
+export const createUserToken = async ({ userId, type }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: {
+        userId,
+        type,
+        usedAt: { isSet: false },
+      },
+      data: {
+        usedAt: now,
+      },
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + TOKEN_TTL_MINUTES[type] * 60000),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+// Marks the token used and returns its user id. The guarded update makes
+// sure two requests with the same token cannot both succeed.
+export const consumeUserToken = async ({ token, type }) => {
+  const tokenHash = hashToken(String(token));
+
+  const { count } = await prisma.userToken.updateMany({
+    where: {
+      tokenHash,
+      type,
+      usedAt: { isSet: false },
+      expiresAt: { gt: new Date() },
+    },
+    data: {
+      usedAt: new Date(),
+    },
+  });
+
+  if (!count) {
+    throw new BadRequestError('invalid or expired token');
+  }
+
+  const { userId } = await prisma.userToken.findUnique({
+    where: {
+      tokenHash,
+    },
+  });
+
+  return userId;
+};